@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * A minimal control host for the remote control client of the harness (see
+ * 2020/harness/controlClient.js), to drive devices without a keyboard from a
+ * host machine.
+ *
+ * Usage:
+ *   node .utils/control-host.js [--port PORT]
+ *
+ * Load the harness on the device with control=http://<host>:<port> and,
+ * optionally, control_device=<name>. Then, from the host:
+ *
+ *   curl http://localhost:8001/devices
+ *   curl -d '{"command": "select", "args": {"ids": "1.3.*"}}' \
+ *       http://localhost:8001/devices/<name>/commands
+ *   curl -d '{"command": "start"}' \
+ *       http://localhost:8001/devices/<name>/commands
+ *
+ * A command POSTed to /devices/<name>/commands is handed to the device on its
+ * next poll and the request completes with the reply of the device.
+ */
+
+'use strict';
+
+const http = require('http');
+const url = require('url');
+
+const USAGE = 'Usage: node .utils/control-host.js [--port PORT]\n';
+
+// How long a poll is held when no command is queued, less than the client
+// waits for it.
+const POLL_HOLD = 25000;
+// How long a command waits for the reply of the device.
+const REPLY_TIMEOUT = 60000;
+// Devices that haven't polled for this long are listed as offline.
+const OFFLINE_AFTER = POLL_HOLD + 10000;
+
+function parseArgs(argv) {
+  const args = {port: 8001};
+  for (let i = 0; i < argv.length; ++i) {
+    switch (argv[i]) {
+      case '--port':
+        args.port = Number(argv[++i]);
+        break;
+      case '-h':
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    // The harness is served from another origin.
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * The devices that poll the host, their queued commands and the commands
+ * waiting for a reply.
+ */
+class DeviceRegistry {
+  constructor() {
+    this.devices_ = new Map();
+    this.nextCommandId_ = 1;
+  }
+
+  get(id) {
+    if (!this.devices_.has(id)) {
+      this.devices_.set(id, {id: id, testType: null, lastSeen: null,
+                             queue: [], poll: null, waiting: new Map()});
+    }
+    return this.devices_.get(id);
+  }
+
+  list() {
+    const now = Date.now();
+    return Array.from(this.devices_.values(), (device) => ({
+      id: device.id,
+      testType: device.testType,
+      online: device.lastSeen !== null &&
+          (device.poll !== null || now - device.lastSeen < OFFLINE_AFTER),
+      lastSeen: device.lastSeen,
+      queued: device.queue.length,
+      waiting: device.waiting.size,
+    }));
+  }
+
+  /**
+   * Holds a poll of the device until a command is queued or POLL_HOLD
+   * passes, which answers 204.
+   */
+  poll(id, testType, res) {
+    const device = this.get(id);
+    device.lastSeen = Date.now();
+    device.testType = testType || device.testType;
+    if (device.poll) {
+      // Only the latest poll of a device is held.
+      this.endPoll_(device, null);
+    }
+    if (device.queue.length > 0) {
+      sendJson(res, 200, device.queue.shift());
+      return;
+    }
+    const timer = setTimeout(() => this.endPoll_(device, null), POLL_HOLD);
+    device.poll = {res: res, timer: timer};
+    res.on('close', () => {
+      if (device.poll && device.poll.res === res) {
+        clearTimeout(timer);
+        device.poll = null;
+      }
+    });
+  }
+
+  endPoll_(device, command) {
+    const poll = device.poll;
+    device.poll = null;
+    clearTimeout(poll.timer);
+    device.lastSeen = Date.now();
+    if (command) {
+      sendJson(poll.res, 200, command);
+    } else {
+      poll.res.writeHead(204, {'Access-Control-Allow-Origin': '*'});
+      poll.res.end();
+    }
+  }
+
+  /**
+   * Sends a command to the device.
+   * @return {!Promise<!Object>} the reply.
+   */
+  send(id, command, args) {
+    const device = this.get(id);
+    const message = {id: this.nextCommandId_++, command: command,
+                     args: args || null};
+    const reply = new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        device.waiting.delete(message.id);
+        const index = device.queue.indexOf(message);
+        if (index !== -1) {
+          device.queue.splice(index, 1);
+        }
+        resolve({id: message.id, ok: false,
+                 error: `No reply from ${id} within ${REPLY_TIMEOUT}ms`});
+      }, REPLY_TIMEOUT);
+      device.waiting.set(message.id, (reply) => {
+        clearTimeout(timer);
+        resolve(reply);
+      });
+    });
+    if (device.poll) {
+      this.endPoll_(device, message);
+    } else {
+      device.queue.push(message);
+    }
+    return reply;
+  }
+
+  reply(id, reply) {
+    const device = this.get(id);
+    device.lastSeen = Date.now();
+    const resolve = device.waiting.get(reply.id);
+    if (!resolve) {
+      return false;
+    }
+    device.waiting.delete(reply.id);
+    resolve(reply);
+    return true;
+  }
+}
+
+async function handle(req, res, devices) {
+  const {pathname, query} = url.parse(req.url, true);
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    });
+    res.end();
+    return;
+  }
+
+  if (pathname === '/control/poll' && query.device) {
+    devices.poll(query.device, query.testType, res);
+  } else if (pathname === '/control/reply' && query.device &&
+             req.method === 'POST') {
+    const reply = JSON.parse(await readBody(req));
+    sendJson(res, 200, {delivered: devices.reply(query.device, reply)});
+  } else if (pathname === '/devices' && req.method === 'GET') {
+    sendJson(res, 200, devices.list());
+  } else if (/^\/devices\/[^/]+\/commands$/.test(pathname) &&
+             req.method === 'POST') {
+    const id = decodeURIComponent(pathname.split('/')[2]);
+    const body = JSON.parse(await readBody(req));
+    if (!body.command) {
+      sendJson(res, 400, {error: 'Missing command'});
+      return;
+    }
+    sendJson(res, 200, await devices.send(id, body.command, body.args));
+  } else {
+    sendJson(res, 404, {error: `Unknown endpoint ${req.method} ${pathname}`});
+  }
+}
+
+/**
+ * Creates the host server.
+ * @return {!http.Server}
+ */
+function createControlHost() {
+  const devices = new DeviceRegistry();
+  return http.createServer((req, res) => {
+    handle(req, res, devices).catch((e) => {
+      if (!res.headersSent) {
+        sendJson(res, 400, {error: String(e.message || e)});
+      }
+    });
+  });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  createControlHost().listen(args.port, () => {
+    process.stderr.write(`Control host listening on port ${args.port}, ` +
+                         `load the harness with ` +
+                         `control=http://<this host>:${args.port}\n`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {createControlHost};
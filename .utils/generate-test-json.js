@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Generates the test case catalog of every test suite, in the format of
+ * 2020/test_json/manual.json.
+ *
+ * Usage:
+ *   node .utils/generate-test-json.js [--tree DIR]... [--suite TEST_TYPE]...
+ *       [--out DIR]
+ *
+ * Without --tree both the 2019 and 2020 trees are processed. Without --out a
+ * single {"test_case": [...]} document covering every suite is written to
+ * stdout; with --out one file per suite is written to DIR/<branch>/<suite>.json
+ * (e.g. out/2020/conformance.json), which makes it easy to diff the catalog
+ * between releases.
+ *
+ * The 2019 tree has no test ids, there the 1-based position of the test in
+ * its suite is used as test_case_id.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const harness = require('./harness-context.js');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const DEFAULT_TREES = ['2019', '2020'];
+const USAGE = 'Usage: node .utils/generate-test-json.js [--tree DIR]... ' +
+    '[--suite TEST_TYPE]... [--out DIR]\n';
+
+function parseArgs(argv) {
+  const args = {trees: [], suites: [], out: null};
+  for (let i = 0; i < argv.length; ++i) {
+    switch (argv[i]) {
+      case '--tree':
+        args.trees.push(argv[++i]);
+        break;
+      case '--suite':
+        args.suites.push(argv[++i]);
+        break;
+      case '--out':
+        args.out = argv[++i];
+        break;
+      case '-h':
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  if (args.trees.length === 0) {
+    args.trees = DEFAULT_TREES.map((tree) => path.join(REPO_ROOT, tree));
+  }
+  return args;
+}
+
+/**
+ * Converts a test prototype into a test_case entry.
+ * @param {string} branch e.g. "2020".
+ * @param {string} suiteName human readable suite name.
+ * @param {boolean} isManualSuite
+ * @param {!Object} desc test prototype.
+ * @param {number} position 0-based position of the test in its suite.
+ * @return {!Object}
+ */
+function createTestCase(branch, suiteName, isManualSuite, desc, position) {
+  const isManual = Boolean(desc.isManual) || isManualSuite;
+  const href = desc.href || (isManual ? desc.title : '') || '';
+  const title = desc.title && desc.title !== href ? desc.title : '';
+  return {
+    branch: branch,
+    test_case_id: desc.id || String(position + 1),
+    test_case: {
+      test_category: desc.category || '',
+      test_title: desc.name || desc.desc,
+      test_description: desc.description || title,
+      passing_criteria: desc.passingCriteria || '',
+      is_manual: isManual,
+      file_href: href,
+      test_suite: desc.suite || suiteName,
+      mandatory: desc.mandatory !== false,
+      status: 1,
+      test_instruction: desc.instruction || '',
+    },
+  };
+}
+
+/**
+ * Returns the catalog of every suite of a tree, keyed by test type.
+ * @param {string} treeDir
+ * @param {!Array<string>} suiteFilter test types to keep, empty for all.
+ * @return {!Object<string, !Array<!Object>>}
+ */
+function generateTreeCatalog(treeDir, suiteFilter) {
+  const branch = path.basename(path.resolve(treeDir));
+  const context = harness.createHarnessContext(treeDir);
+  const catalog = {};
+  for (const testType of harness.getTestTypes(context)) {
+    if (suiteFilter.length > 0 && !suiteFilter.includes(testType)) {
+      continue;
+    }
+    const suite = harness.loadTestSuite(context, testType);
+    const suiteName = context.testSuiteDescriptions[testType].name;
+    catalog[testType] = suite.tests.map((test, position) => createTestCase(
+        branch, suiteName, testType === 'manual-test', test.prototype,
+        position));
+  }
+  return catalog;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const allTestCases = [];
+  for (const treeDir of args.trees) {
+    const branch = path.basename(path.resolve(treeDir));
+    const catalog = generateTreeCatalog(treeDir, args.suites);
+    for (const testType in catalog) {
+      if (args.out) {
+        const outDir = path.join(args.out, branch);
+        const outFile =
+            path.join(outDir, testType.replace(/-test$/, '') + '.json');
+        fs.mkdirSync(outDir, {recursive: true});
+        fs.writeFileSync(outFile, JSON.stringify(
+            {test_case: catalog[testType]}, null, 4) + '\n');
+        process.stderr.write(
+            `${outFile}: ${catalog[testType].length} test cases\n`);
+      } else {
+        allTestCases.push(...catalog[testType]);
+      }
+    }
+  }
+  if (!args.out) {
+    process.stdout.write(
+        JSON.stringify({test_case: allTestCases}, null, 4) + '\n');
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {createTestCase, generateTreeCatalog};
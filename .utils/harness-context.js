@@ -0,0 +1,232 @@
+/**
+ * Loads the test harness of a year tree (2019/, 2020/) into a Node js vm
+ * context with the browser globals stubbed, so that test suites and stream
+ * definitions can be enumerated outside of a browser.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Creates an object that tolerates any property access or call, used for the
+ * browser APIs the suites touch while they are being defined.
+ * @return {!Function}
+ */
+function createStub() {
+  const target = function() {};
+  return new Proxy(target, {
+    get(obj, prop) {
+      if (prop === Symbol.toPrimitive) return () => '';
+      if (prop === 'then') return undefined;
+      if (prop === 'prototype') return obj.prototype;
+      if (!(prop in obj)) obj[prop] = createStub();
+      return obj[prop];
+    },
+    apply() {
+      return createStub();
+    },
+    construct() {
+      return createStub();
+    },
+  });
+}
+
+/**
+ * Wraps an object so that members it doesn't define resolve to stubs.
+ * @param {!Object} obj
+ * @return {!Object}
+ */
+function withStubFallback(obj) {
+  return new Proxy(obj, {
+    get(target, prop) {
+      if (prop in target || typeof prop === 'symbol' || prop === 'then') {
+        return target[prop];
+      }
+      target[prop] = createStub();
+      return target[prop];
+    },
+  });
+}
+
+function createElement(tag) {
+  const element = {
+    tagName: String(tag).toUpperCase(),
+    style: {},
+    dataset: {},
+    childNodes: [],
+    classList: {add() {}, remove() {}, contains() { return false; }},
+    appendChild(child) { this.childNodes.push(child); return child; },
+    removeChild(child) { return child; },
+    setAttribute() {},
+    getAttribute() { return null; },
+    removeAttribute() {},
+    addEventListener() {},
+    removeEventListener() {},
+    canPlayType() { return ''; },
+    getContext() { return null; },
+    load() {},
+    play() {},
+    pause() {},
+  };
+  return withStubFallback(element);
+}
+
+// Third party scripts that only matter in a real browser, they are replaced
+// by stubs.
+const STUBBED_SCRIPTS = [
+  'third_party/Modernizr/modernizr-custom.js',
+  'third_party/Shaka/shaka-player.compiled.js',
+];
+
+/**
+ * Returns the harness scripts of a tree in the order main.html loads them,
+ * leaving out browser-only third party code and main.js which starts the UI.
+ * @param {string} treeDir
+ * @return {!Array<string>}
+ */
+function getHarnessScripts(treeDir) {
+  const html = fs.readFileSync(path.join(treeDir, 'main.html'), 'utf8');
+  const scripts = [];
+  const regex = /"([\w\/.\-]+\.js)"/g;
+  let match;
+  while ((match = regex.exec(html)) !== null) {
+    const script = match[1];
+    if (STUBBED_SCRIPTS.includes(script) || script === 'harness/main.js') {
+      continue;
+    }
+    scripts.push(script);
+  }
+  return scripts;
+}
+
+/**
+ * Creates a vm context that has evaluated every harness script of a tree.
+ * @param {string} treeDir path to a year tree, e.g. "2020".
+ * @param {?Object=} options
+ *     url: document URL seen by the harness.
+ *     windowSize: [width, height] reported by the window.
+ *     isTypeSupported: answers MediaSource.isTypeSupported(), defaults to
+ *         supporting every type so that tests keep their declared mandatory
+ *         flag.
+ * @return {!Object} the context global, i.e. the harness `window`.
+ */
+function createHarnessContext(treeDir, options = {}) {
+  const url = options.url || 'http://localhost/main.html';
+  const windowSize = options.windowSize || [1920, 1080];
+  const isTypeSupported = options.isTypeSupported || (() => true);
+
+  const MediaSource = function() {};
+  MediaSource.prototype.version = '';
+  MediaSource.isTypeSupported = (type) => isTypeSupported(type);
+
+  const HTMLMediaElement = function() {};
+  Object.assign(HTMLMediaElement, {
+    HAVE_NOTHING: 0,
+    HAVE_METADATA: 1,
+    HAVE_CURRENT_DATA: 2,
+    HAVE_FUTURE_DATA: 3,
+    HAVE_ENOUGH_DATA: 4,
+    NETWORK_EMPTY: 0,
+    NETWORK_IDLE: 1,
+    NETWORK_LOADING: 2,
+    NETWORK_NO_SOURCE: 3,
+  });
+
+  const document = withStubFallback({
+    URL: url,
+    body: createElement('body'),
+    head: createElement('head'),
+    documentElement: createElement('html'),
+    createElement: createElement,
+    createTextNode: () => createElement('#text'),
+    getElementById: (id) => createElement('div'),
+    getElementsByTagName: () => [],
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {},
+    removeEventListener() {},
+  });
+
+  const sandbox = {
+    console: options.console || {log() {}, warn() {}, error() {}, info() {}},
+    document: document,
+    navigator: {userAgent: options.userAgent || 'Node.js'},
+    location: {href: url, search: '', hash: ''},
+    innerWidth: windowSize[0],
+    innerHeight: windowSize[1],
+    devicePixelRatio: 1,
+    MediaSource: MediaSource,
+    HTMLMediaElement: HTMLMediaElement,
+    HTMLVideoElement: function() {},
+    Uint8Array: Uint8Array,
+    ArrayBuffer: ArrayBuffer,
+    DataView: DataView,
+    Promise: Promise,
+    setTimeout: () => 0,
+    clearTimeout() {},
+    setInterval: () => 0,
+    clearInterval() {},
+    alert() {},
+    addEventListener() {},
+    removeEventListener() {},
+    harnessConfig: {},
+    testVersion: path.basename(path.resolve(treeDir)),
+  };
+  // Everything else the suites may touch while being defined.
+  for (const name of ['Modernizr', 'shaka', 'XMLHttpRequest', 'AudioContext',
+                      'webkitAudioContext', 'URL', 'Blob', 'Event',
+                      'CustomEvent', 'WebGLRenderingContext', 'localStorage',
+                      'indexedDB', 'h5vcc', 'getComputedStyle']) {
+    sandbox[name] = createStub();
+  }
+  sandbox.window = sandbox;
+  sandbox.self = sandbox;
+
+  const context = vm.createContext(sandbox);
+  for (const script of getHarnessScripts(treeDir)) {
+    const file = path.join(treeDir, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, {filename: file});
+  }
+  return context;
+}
+
+/**
+ * Instantiates a test suite the same way harness/main.js does.
+ * @param {!Object} context created by createHarnessContext().
+ * @param {string} testType e.g. "conformance-test".
+ * @return {!Object} suite with a `tests` array of test constructors.
+ */
+function loadTestSuite(context, testType) {
+  context.harnessConfig.testType = testType;
+  // Suites adjust TestBase.timeout, reset it so each one starts clean.
+  context.TestBase.timeout = 30000;
+  return vm.runInContext(`(function(testType) {
+    var testName = testType.substr(0, testType.indexOf('-'));
+    if (testName == 'playbackperf' && window.PlaybackperfTest.length > 0) {
+      var subgroup = testType.substring(
+          testType.indexOf('-') + 1, testType.lastIndexOf('-'));
+      return window.PlaybackperfTest(subgroup);
+    }
+    return window[util.MakeCapitalName(testName) + 'Test']();
+  })`, context)(testType);
+}
+
+/**
+ * Returns the test types a tree offers, e.g. ["conformance-test", ...].
+ * @param {!Object} context created by createHarnessContext().
+ * @return {!Array<string>}
+ */
+function getTestTypes(context) {
+  const versions = context.testSuiteVersions;
+  return versions[context.testVersion].testSuites.slice();
+}
+
+module.exports = {
+  createHarnessContext,
+  getHarnessScripts,
+  getTestTypes,
+  loadTestSuite,
+};
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Merges the results documents downloaded from the shards of a run (see the
+ * shard=i/n parameter) into one report with the tests in their original order.
+ *
+ * Usage:
+ *   node .utils/merge-results.js [--tree DIR] [--out FILE] [--junit FILE]
+ *       RESULTS.json...
+ *
+ * Without --out the merged JSON document is written to stdout. --junit also
+ * writes the merged results as a JUnit XML report. The merge logic lives in
+ * <tree>/harness/testResults.js, --tree defaults to 2020.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const USAGE = 'Usage: node .utils/merge-results.js [--tree DIR] [--out FILE] ' +
+    '[--junit FILE] RESULTS.json...\n';
+
+function parseArgs(argv) {
+  const args = {tree: path.join(REPO_ROOT, '2020'), out: null, junit: null,
+                files: []};
+  for (let i = 0; i < argv.length; ++i) {
+    switch (argv[i]) {
+      case '--tree':
+        args.tree = argv[++i];
+        break;
+      case '--out':
+        args.out = argv[++i];
+        break;
+      case '--junit':
+        args.junit = argv[++i];
+        break;
+      case '-h':
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        if (argv[i].startsWith('--')) {
+          throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+        args.files.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+/**
+ * Evaluates harness scripts that only depend on `window` and returns the
+ * resulting window.
+ * @param {string} treeDir
+ * @param {!Array<string>} scripts paths relative to the tree.
+ * @return {!Object}
+ */
+function loadHarnessScripts(treeDir, scripts) {
+  const sandbox = {};
+  sandbox.window = sandbox;
+  const context = vm.createContext(sandbox);
+  for (const script of scripts) {
+    const file = path.join(treeDir, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, {filename: file});
+  }
+  return context;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.files.length === 0) {
+    process.stdout.write(USAGE);
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+
+  const harness = loadHarnessScripts(
+      args.tree, ['harness/testResults.js', 'harness/junitReport.js']);
+  const results = args.files.map(
+      (file) => JSON.parse(fs.readFileSync(file, 'utf8')));
+  let merged;
+  try {
+    merged = harness.testResults.merge(results);
+  } catch (e) {
+    // The harness throws strings.
+    throw new Error(String(e));
+  }
+
+  const json = JSON.stringify(merged, null, 2) + '\n';
+  if (args.out) {
+    fs.writeFileSync(args.out, json);
+  } else {
+    process.stdout.write(json);
+  }
+  if (args.junit) {
+    fs.writeFileSync(args.junit, harness.junitReport.create(merged));
+  }
+  process.stderr.write(`Merged ${merged.tests.length} tests from ` +
+                       `${results.length} results\n`);
+}
+
+if (require.main === module) {
+  main();
+}
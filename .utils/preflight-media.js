@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Checks a local copy of the media files (e.g. the extracted
+ * YTS-media-files.tar.gz) against the stream definitions of
+ * lib/streams/mediaStreams.js: every stream used by the selected tests must
+ * exist with the defined size, and the defined sha256 checksum if any.
+ *
+ * Usage:
+ *   node .utils/preflight-media.js --dir DIR [--tree DIR]
+ *       [--suite TEST_TYPE]... [--ids LIST] [--category LIST] [--name REGEXP]
+ *       [--all]
+ *
+ * DIR is the directory served as the media path of the harness
+ * (test-materials/media/). --suite defaults to every suite of the tree and
+ * --ids, --category and --name select tests like the harness parameters of
+ * the same name. --all checks every stream defined in Media instead of the
+ * ones used by tests. Exits with 1 when a file is missing or doesn't match.
+ * The checks live in <tree>/harness/mediaPreflight.js, --tree defaults to 2020.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const harness = require('./harness-context.js');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const USAGE = 'Usage: node .utils/preflight-media.js --dir DIR [--tree DIR] ' +
+    '[--suite TEST_TYPE]... [--ids LIST] [--category LIST] [--name REGEXP] ' +
+    '[--all]\n';
+
+function parseArgs(argv) {
+  const args = {tree: path.join(REPO_ROOT, '2020'), dir: null, suites: [],
+                selectors: {}, all: false};
+  for (let i = 0; i < argv.length; ++i) {
+    switch (argv[i]) {
+      case '--tree':
+        args.tree = argv[++i];
+        break;
+      case '--dir':
+        args.dir = argv[++i];
+        break;
+      case '--suite':
+        args.suites.push(argv[++i]);
+        break;
+      case '--ids':
+      case '--category':
+      case '--name':
+        args.selectors[argv[i].substr(2)] = argv[++i];
+        break;
+      case '--all':
+        args.all = true;
+        break;
+      case '-h':
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+        .on('data', (data) => hash.update(data))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+  });
+}
+
+/**
+ * Creates a probe that looks streams up in a local directory, see
+ * mediaPreflight.checkStreams().
+ * @param {string} dir
+ * @param {string} mediaPath prefix of the stream sources, i.e. MEDIA_PATH.
+ * @return {function(!Object, ?string): !Promise<!Object>}
+ */
+function createDirectoryProbe(dir, mediaPath) {
+  return async (stream, checksum) => {
+    const relative = stream.src.startsWith(mediaPath) ?
+        stream.src.substr(mediaPath.length) : stream.src;
+    const file = path.join(dir, relative);
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return {exists: false, size: null, sha256: null};
+      }
+      throw e;
+    }
+    return {
+      exists: stat.isFile(),
+      size: stat.size,
+      sha256: checksum ? await sha256File(file) : null,
+    };
+  };
+}
+
+/**
+ * Returns the streams to check.
+ * @param {!Object} context created by harness.createHarnessContext().
+ * @param {!Object} args
+ * @return {!Array<!Object>}
+ */
+function collectStreams(context, args) {
+  const preflight = context.mediaPreflight;
+  if (args.all) {
+    return preflight.collectAllStreams(context.Media);
+  }
+  const testTypes = harness.getTestTypes(context);
+  for (const testType of args.suites) {
+    if (!testTypes.includes(testType)) {
+      throw new Error(`Unknown suite ${testType}, expected one of ` +
+                      testTypes.join(', '));
+    }
+  }
+  const filter = context.testSelector.createFilter(args.selectors);
+  let tests = [];
+  for (const testType of testTypes) {
+    if (args.suites.length > 0 && !args.suites.includes(testType)) {
+      continue;
+    }
+    const suite = harness.loadTestSuite(context, testType);
+    tests = tests.concat(suite.tests.filter((test) => filter(test.prototype)));
+  }
+  if (tests.length === 0) {
+    throw new Error('No test matches the selection');
+  }
+  return preflight.collectStreams(tests);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.dir) {
+    process.stdout.write(USAGE);
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+
+  const context = harness.createHarnessContext(args.tree);
+  let streams;
+  try {
+    streams = collectStreams(context, args);
+  } catch (e) {
+    // The harness throws strings.
+    throw e instanceof Error ? e : new Error(String(e));
+  }
+  const probe = createDirectoryProbe(args.dir, context.util.getMediaPath(''));
+  const report = await context.mediaPreflight.checkStreams(streams, probe);
+  for (const line of context.mediaPreflight.formatReport(report)) {
+    process.stdout.write(line + '\n');
+  }
+  if (!context.mediaPreflight.isClean(report)) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    process.stderr.write(`${e.stack || e}\n`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {createDirectoryProbe};
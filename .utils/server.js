@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+/**
+ * Serves the year trees together with local stand-ins of the /login, /token
+ * and /uploadTest endpoints of the results backend, so that the Login and
+ * Submit commands of the harness can be exercised offline.
+ *
+ * Usage:
+ *   node .utils/server.js [--port PORT] [--root DIR] [--results DIR]
+ *       [--auto-activate SECONDS]
+ *
+ * The trees are served from --root (the repository by default), e.g.
+ * http://localhost:8000/2020/main.html, with support for HEAD and byte range
+ * requests. Uploaded results are stored as JSON files in
+ * --results/<branch>/ (uploaded-results by default).
+ *
+ * /login starts a device code login like the real backend: it answers with a
+ * user code and a polling interval, and /token answers 428 until the code is
+ * activated by opening /activate?user_code=CODE, which
+ * --auto-activate SECONDS does on its own after the given delay.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const url = require('url');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const USAGE = 'Usage: node .utils/server.js [--port PORT] [--root DIR] ' +
+    '[--results DIR] [--auto-activate SECONDS]\n';
+
+// Seconds between two /token polls, and until a login code expires.
+const POLL_INTERVAL = 5;
+const LOGIN_EXPIRY = 600;
+const SESSION_COOKIE = 'yts_session';
+// Largest accepted /uploadTest body.
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.css': 'text/css',
+  '.gif': 'image/gif',
+  '.html': 'text/html; charset=utf-8',
+  '.jpg': 'image/jpeg',
+  '.js': 'application/javascript',
+  '.json': 'application/json',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ttf': 'font/ttf',
+  '.txt': 'text/plain',
+  '.vtt': 'text/vtt',
+  '.webm': 'video/webm',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+};
+
+function parseArgs(argv) {
+  const args = {port: 8000, root: REPO_ROOT, results: 'uploaded-results',
+                autoActivate: null};
+  for (let i = 0; i < argv.length; ++i) {
+    switch (argv[i]) {
+      case '--port':
+        args.port = Number(argv[++i]);
+        break;
+      case '--root':
+        args.root = argv[++i];
+        break;
+      case '--results':
+        args.results = argv[++i];
+        break;
+      case '--auto-activate':
+        args.autoActivate = Number(argv[++i]);
+        break;
+      case '-h':
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, Object.assign(
+      {'Content-Type': 'application/json'}, headers));
+  res.end(JSON.stringify(body));
+}
+
+function sendText(res, status, text) {
+  res.writeHead(status, {'Content-Type': 'text/plain; charset=utf-8'});
+  res.end(text);
+}
+
+function getCookie(req, name) {
+  for (const cookie of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) {
+      return value.join('=');
+    }
+  }
+  return null;
+}
+
+function randomCode() {
+  // Unambiguous characters only, the code is typed in by hand.
+  const alphabet = 'BCDFGHJKLMNPQRSTVWXZ23456789';
+  let code = '';
+  for (const byte of crypto.randomBytes(8)) {
+    code += alphabet[byte % alphabet.length];
+  }
+  return code.substr(0, 4) + '-' + code.substr(4);
+}
+
+/**
+ * Device code logins, by session. A session is the cookie set by /login.
+ */
+class LoginStore {
+  constructor(autoActivate) {
+    this.autoActivate_ = autoActivate;
+    this.logins_ = new Map();
+  }
+
+  start(session) {
+    const login = {
+      userCode: randomCode(),
+      createdTime: Date.now(),
+      activated: false,
+      token: null,
+    };
+    this.logins_.set(session, login);
+    if (this.autoActivate_ !== null) {
+      setTimeout(() => this.activate(login.userCode),
+                 this.autoActivate_ * 1000).unref();
+    }
+    return login;
+  }
+
+  get(session) {
+    const login = session && this.logins_.get(session);
+    if (!login) {
+      return null;
+    }
+    if (!login.activated &&
+        Date.now() - login.createdTime > LOGIN_EXPIRY * 1000) {
+      this.logins_.delete(session);
+      return null;
+    }
+    return login;
+  }
+
+  activate(userCode) {
+    for (const login of this.logins_.values()) {
+      if (login.userCode === String(userCode).toUpperCase()) {
+        login.activated = true;
+        login.token = crypto.randomBytes(16).toString('hex');
+        return true;
+      }
+    }
+    return false;
+  }
+
+  isAuthorized(session) {
+    const login = this.get(session);
+    return !!login && login.activated;
+  }
+}
+
+function handleLogin(req, res, logins) {
+  const session = getCookie(req, SESSION_COOKIE) ||
+      crypto.randomBytes(16).toString('hex');
+  const login = logins.start(session);
+  process.stderr.write(`Login code ${login.userCode}, activate it at ` +
+                       `/activate?user_code=${login.userCode}\n`);
+  sendJson(res, 200, {
+    user_code: login.userCode,
+    verification_url: '/activate',
+    expires_in: LOGIN_EXPIRY,
+    interval: POLL_INTERVAL,
+  }, {'Set-Cookie': `${SESSION_COOKIE}=${session}; Path=/; HttpOnly`});
+}
+
+function handleToken(req, res, logins) {
+  const login = logins.get(getCookie(req, SESSION_COOKIE));
+  if (!login) {
+    sendText(res, 403, 'No pending login, or the code expired.');
+  } else if (!login.activated) {
+    // Not ready, the harness keeps polling.
+    sendText(res, 428, 'Waiting for the code to be activated.');
+  } else {
+    sendJson(res, 200, {access_token: login.token, token_type: 'Bearer'});
+  }
+}
+
+function handleActivate(req, res, logins, query) {
+  if (!query.user_code) {
+    res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'});
+    res.end('<form>Code: <input name="user_code"> ' +
+            '<button>Activate</button></form>');
+  } else if (logins.activate(query.user_code)) {
+    sendText(res, 200, `Activated ${query.user_code}.`);
+  } else {
+    sendText(res, 404, `Unknown code ${query.user_code}.`);
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_UPLOAD_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+async function handleUploadTest(req, res, logins, query, resultsDir) {
+  if (req.method !== 'POST') {
+    sendText(res, 405, 'POST results to /uploadTest.');
+    return;
+  }
+  if (!logins.isAuthorized(getCookie(req, SESSION_COOKIE))) {
+    sendText(res, 401, 'Login first.');
+    return;
+  }
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (e) {
+    sendText(res, 400, `Invalid results: ${e.message}`);
+    return;
+  }
+  if (!body || !Array.isArray(body.test_results)) {
+    sendText(res, 400, 'Invalid results: test_results must be an array.');
+    return;
+  }
+  const branch = String(query.branch || 'unknown').replace(/[^\w.-]/g, '_');
+  const dir = path.join(resultsDir, branch);
+  fs.mkdirSync(dir, {recursive: true});
+  const file = path.join(dir, `${Date.now()}-` +
+                         `${crypto.randomBytes(3).toString('hex')}.json`);
+  fs.writeFileSync(file, JSON.stringify({
+    branch: branch,
+    receivedTime: Date.now(),
+    userAgent: req.headers['user-agent'] || null,
+    body: body,
+  }, null, 2) + '\n');
+  process.stderr.write(`Stored ${body.test_results.length} results in ` +
+                       `${file}\n`);
+  sendJson(res, 200, {accepted: body.test_results.length,
+                      file: path.relative(resultsDir, file)});
+}
+
+/**
+ * Serves a file of the root directory, with single byte ranges.
+ */
+function serveFile(req, res, root, pathname) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendText(res, 405, 'Method not allowed.');
+    return;
+  }
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (e) {
+    sendText(res, 400, 'Bad request.');
+    return;
+  }
+  const file = path.join(root, path.normalize(decoded));
+  if (!file.startsWith(path.resolve(root))) {
+    sendText(res, 403, 'Forbidden.');
+    return;
+  }
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (e) {
+    sendText(res, 404, 'Not found.');
+    return;
+  }
+  if (stat.isDirectory()) {
+    if (!pathname.endsWith('/')) {
+      res.writeHead(301, {Location: pathname + '/'});
+      res.end();
+      return;
+    }
+    serveFile(req, res, root, pathname + 'main.html');
+    return;
+  }
+
+  const headers = {
+    'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] ||
+        'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+  };
+  let start = 0;
+  let end = stat.size - 1;
+  let status = 200;
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+  if (range && (range[1] || range[2])) {
+    if (range[1]) {
+      start = Number(range[1]);
+      end = range[2] ? Math.min(Number(range[2]), end) : end;
+    } else {
+      // Suffix range, the last N bytes.
+      start = Math.max(0, stat.size - Number(range[2]));
+    }
+    if (start > end) {
+      res.writeHead(416, {'Content-Range': `bytes */${stat.size}`});
+      res.end();
+      return;
+    }
+    status = 206;
+    headers['Content-Range'] = `bytes ${start}-${end}/${stat.size}`;
+  }
+  headers['Content-Length'] = end - start + 1;
+  res.writeHead(status, headers);
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  fs.createReadStream(file, {start: start, end: end}).pipe(res);
+}
+
+/**
+ * Creates the server, see the usage above for the options.
+ * @param {!Object} options port is ignored.
+ * @return {!http.Server}
+ */
+function createServer(options) {
+  const logins = new LoginStore(options.autoActivate);
+  const root = path.resolve(options.root);
+  const resultsDir = path.resolve(options.results);
+  return http.createServer((req, res) => {
+    const {pathname, query} = url.parse(req.url, true);
+    let handled;
+    switch (pathname) {
+      case '/login':
+        handled = handleLogin(req, res, logins);
+        break;
+      case '/token':
+        handled = handleToken(req, res, logins);
+        break;
+      case '/activate':
+        handled = handleActivate(req, res, logins, query);
+        break;
+      case '/uploadTest':
+        handled = handleUploadTest(req, res, logins, query, resultsDir);
+        break;
+      case '/':
+        res.writeHead(302, {Location: '/2020/main.html'});
+        res.end();
+        break;
+      default:
+        handled = serveFile(req, res, root, pathname);
+    }
+    Promise.resolve(handled).catch((e) => {
+      process.stderr.write(`${req.method} ${req.url}: ${e.stack || e}\n`);
+      if (!res.headersSent) {
+        sendText(res, 500, String(e.message || e));
+      }
+    });
+  });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  createServer(args).listen(args.port, () => {
+    process.stderr.write(`Serving ${path.resolve(args.root)} at ` +
+                         `http://localhost:${args.port}/2020/main.html, ` +
+                         `results go to ${path.resolve(args.results)}\n`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {createServer};
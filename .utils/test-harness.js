@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+/**
+ * @license
+ * Copyright 2020 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Checks the behavior of the 2020 harness in Node js, with the browser APIs
+// stubbed as in generate-test-json.js. Exits with 1 when a check fails.
+//
+//   node .utils/test-harness.js
+
+const assert = require('assert');
+const path = require('path');
+const {createHarnessContext} = require('./harness-context.js');
+
+const TREE_DIR = path.join(__dirname, '..', '2020');
+
+// The harness throws the error of a failed test once the test is torn down,
+// for the browser to report it.
+const ignoreTestError = (e) => {
+  if (typeof e !== 'string')
+    throw e;
+};
+process.on('uncaughtException', ignoreTestError);
+process.on('unhandledRejection', ignoreTestError);
+
+/**
+ * Creates a harness context whose timers run.
+ * @param {!Object=} config added to harnessConfig.
+ * @return {!Object}
+ */
+function createContext(config) {
+  const context = createHarnessContext(TREE_DIR);
+  Object.assign(context, {setTimeout, clearTimeout, setInterval,
+                          clearInterval});
+  // No run state is persisted unless a check provides a storage.
+  context.localStorage = null;
+  Object.assign(context.harnessConfig, config || {});
+  return context;
+}
+
+/**
+ * Creates a test of the 'Checks' suite in the context.
+ * @param {!Object} context
+ * @param {string} id
+ * @param {boolean} mandatory
+ * @param {function(!TestExecutor, !Object)} start
+ * @return {!Function} the test constructor.
+ */
+function createCheckTest(context, id, mandatory, start) {
+  const test = context.createTest(id, 'Checks', mandatory, id, 'Checks');
+  test.prototype.start = start;
+  test.prototype.teardown = function(testSuiteVer, cb) {
+    cb();
+  };
+  return test;
+}
+
+/**
+ * Creates a TestExecutor for the tests with its UI stubbed.
+ * @param {!Object} context
+ * @param {!Array<!Function>} tests
+ * @return {!TestExecutor}
+ */
+function createRunner(context, tests) {
+  tests.forEach((test, i) => {
+    test.prototype.index = i;
+  });
+  const runner = new context.TestExecutor({tests: tests}, '', '2020');
+  context.globalRunner = runner;
+  runner.testView = {
+    finishedOneTest() {},
+    setFinishedCount() {},
+    anySelected() {
+      return true;
+    },
+    getTest() {
+      return {updateStatus() {}, selected() { return true; }};
+    },
+  };
+  runner.getNewVideoTag = () => ({
+    paused: true,
+    currentTime: 0,
+    readyState: 0,
+    networkState: 0,
+    buffered: {length: 0},
+    addEventListener() {},
+    removeEventListener() {},
+  });
+  return runner;
+}
+
+/**
+ * Waits for the run of a TestExecutor to finish.
+ * @param {!TestExecutor} runner
+ * @param {function()} start starts or resumes the run.
+ * @return {!Promise<!TestExecutor>}
+ */
+function waitForRun(runner, start) {
+  return new Promise((resolve) => {
+    runner.onfinished = () => resolve(runner);
+    start();
+  });
+}
+
+/**
+ * Runs the tests in a TestExecutor.
+ * @param {!Object} context
+ * @param {!Array<!Function>} tests
+ * @return {!Promise<!TestExecutor>} resolved when the run finished.
+ */
+function runTests(context, tests) {
+  const runner = createRunner(context, tests);
+  return waitForRun(runner, () => runner.startTest(0, tests.length));
+}
+
+/**
+ * Creates a localStorage kept in memory.
+ * @return {!Object}
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+const checks = [];
+
+/**
+ * Registers a check.
+ * @param {string} name
+ * @param {function(): (!Promise|undefined)} fn
+ */
+function check(name, fn) {
+  checks.push({name, fn});
+}
+
+check('mandatory test with an unsupported stream fails at once', async () => {
+  const context = createContext();
+  context.MediaSource.isTypeSupported = () => false;
+  let started = false;
+  const test = createCheckTest(context, '1', true, () => {
+    started = true;
+  });
+  test.prototype.setStreams([context.Media.VP9.VideoTiny]);
+  const runner = await runTests(context, [test]);
+  const result = runner.getResults().tests[0];
+  assert.strictEqual(started, false);
+  assert.strictEqual(result.outcomeName, 'FAILED');
+  assert.match(result.error.message, /^Stream type unsupported: video\/webm/);
+});
+
+check('optional test with an unsupported stream is skipped', async () => {
+  const context = createContext();
+  context.MediaSource.isTypeSupported = () => false;
+  const test = createCheckTest(context, '1', false, (runner) => {
+    runner.succeed();
+  });
+  test.prototype.setStreams([context.Media.VP9.VideoTiny]);
+  const runner = await runTests(context, [test]);
+  assert.strictEqual(runner.getResults().tests[0].outcomeName, 'SKIPPED');
+});
+
+check('invalid selectors are reported and dropped', () => {
+  const context = createContext();
+  const config = {ids: '1.2,abc', name: '(', mandatory: 'yes',
+                  category: 'Checks'};
+  const errors = context.testSelector.checkConfig(config);
+  assert.strictEqual(errors.length, 3);
+  assert.match(errors[0], /^Invalid ids selector abc/);
+  assert.match(errors[1], /^Invalid name selector \(/);
+  assert.match(errors[2], /^Invalid mandatory selector yes/);
+  assert.strictEqual(config.ids, '');
+  assert.strictEqual(config.name, '');
+  assert.strictEqual(config.mandatory, '');
+  assert.strictEqual(config.category, 'Checks');
+});
+
+check('valid selectors are kept', () => {
+  const context = createContext();
+  const config = {ids: '1.2, 3.*', name: '^VP9', mandatory: 'true'};
+  assert.strictEqual(context.testSelector.checkConfig(config).length, 0);
+  assert.strictEqual(config.ids, '1.2, 3.*');
+  assert.strictEqual(config.name, '^VP9');
+  assert.strictEqual(config.mandatory, 'true');
+});
+
+check('harness starts once invalid selectors are dropped', async () => {
+  const config = {ids: 'abc', name: '('};
+  const context = createContext(config);
+  const errors = context.testSelector.checkConfig(context.harnessConfig);
+  assert.strictEqual(errors.length, 2);
+  const test = createCheckTest(context, '1', true, (runner) => {
+    runner.succeed();
+  });
+  const runner = await runTests(context, [test]);
+  assert.strictEqual(runner.getResults().tests[0].outcomeName, 'PASSED');
+});
+
+check('invalid shards are reported and dropped', () => {
+  const context = createContext();
+  for (const shard of ['5/4', '0/0', 'abc']) {
+    const config = {shard};
+    const errors = context.testSelector.checkConfig(config);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0], 'Invalid shard ' + shard +
+                       ', expected i/n with 1 <= i <= n');
+    assert.strictEqual(config.shard, '');
+  }
+  const config = {shard: '2/4'};
+  assert.strictEqual(context.testSelector.checkConfig(config).length, 0);
+  assert.strictEqual(config.shard, '2/4');
+});
+
+check('invalid network parameters are reported and dropped', () => {
+  const context = createContext();
+  const config = {net_throughput: 'fast', net_latency: '-5', net_chunk: '0',
+                  net_failure_rate: '2', net_seed: 'Infinity'};
+  const errors = context.checkNetworkConfig(config);
+  assert.strictEqual(errors.length, 5);
+  assert.strictEqual(errors[0],
+                     'Invalid net_throughput fast, expected a number >= 0');
+  assert.strictEqual(errors[2], 'Invalid net_chunk 0, expected a number >= 1');
+  assert.strictEqual(errors[3],
+                     'Invalid net_failure_rate 2, expected a number in [0, 1]');
+  for (const param of Object.keys(config))
+    assert.strictEqual(config[param], '');
+  assert.strictEqual(context.createNetworkEmulator(config), null);
+});
+
+check('valid network parameters are kept', () => {
+  const context = createContext();
+  const config = {net_profile: 'dsl', net_latency: '0', net_chunk: '1024',
+                  net_failure_rate: '0.5'};
+  assert.strictEqual(context.checkNetworkConfig(config).length, 0);
+  const emulator = context.createNetworkEmulator(config);
+  assert.strictEqual(emulator.conditions.throughput, 6000);
+  assert.strictEqual(emulator.conditions.latency, 0);
+  assert.strictEqual(emulator.conditions.chunkSize, 1024);
+  assert.strictEqual(emulator.conditions.failureRate, 0.5);
+});
+
+check('flaky test is listed as passed in the legacy results', async () => {
+  const context = createContext({retries: 1, testSuite: '2020',
+                                 testType: 'checks-test'});
+  let attempts = 0;
+  const flaky = createCheckTest(context, '1', true, (runner) => {
+    const attempt = ++attempts;
+    setTimeout(() => {
+      if (attempt === 1) {
+        try {
+          runner.fail('first attempt');
+        } catch (e) {}
+      } else {
+        runner.succeed();
+      }
+    }, 0);
+  });
+  const failing = createCheckTest(context, '2', true, (runner) => {
+    setTimeout(() => {
+      try {
+        runner.fail('every attempt');
+      } catch (e) {}
+    }, 0);
+  });
+  const runner = await runTests(context, [flaky, failing]);
+  assert.strictEqual(runner.getResults().tests[0].classification, 'flaky');
+  const results = context.getTestResults();
+  assert.deepStrictEqual(
+      JSON.parse(JSON.stringify(results.pass['2020']['checks-test'])),
+      {Checks: ['1']});
+  assert.deepStrictEqual(
+      JSON.parse(JSON.stringify(results.fail['2020']['checks-test'])),
+      {Checks: ['2']});
+});
+
+check('attachments are restored when a run resumes', async () => {
+  const storage = createStorage();
+  const samples = Array.from({length: 60}, (v, i) => ({index: i}));
+  const createTests = (context, onReload) => [
+    createCheckTest(context, '1', true, (runner) => {
+      runner.attach('samples', samples);
+      runner.attach('summary', {count: 60});
+      runner.succeed();
+    }),
+    createCheckTest(context, '2', true, (runner) => {
+      onReload();
+      runner.succeed();
+    }),
+  ];
+
+  // The page reloads while the second test runs.
+  const context = createContext();
+  context.localStorage = storage;
+  let savedState = null;
+  await runTests(context, createTests(context, () => {
+    savedState = storage.getItem('yts-run-state-2020');
+  }));
+
+  const resumed = createContext();
+  resumed.localStorage = createStorage();
+  resumed.localStorage.setItem('yts-run-state-2020', savedState);
+  const state = resumed.runState.load('2020');
+  const runner = createRunner(resumed, createTests(resumed, () => {}));
+  await waitForRun(runner, () => assert.ok(runner.resume(state)));
+  const attachments = runner.getResults().tests[0].attachments;
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(attachments)), {
+    requests: [],
+    samples: samples.slice(-50),
+    summary: {count: 60},
+  });
+});
+
+check('zero duration is kept in the results', async () => {
+  const context = createContext();
+  const test = createCheckTest(context, '1', true, (runner) => {
+    runner.succeed();
+  });
+  const runner = await runTests(context, [test]);
+  test.prototype.duration = 0;
+  test.prototype.timeoutRatio = 0;
+  const result = runner.getResults().tests[0];
+  assert.strictEqual(result.duration, 0);
+  assert.strictEqual(result.timeoutRatio, 0);
+});
+
+async function main() {
+  let failures = 0;
+  for (const {name, fn} of checks) {
+    try {
+      await fn();
+      console.log('ok ' + name);
+    } catch (e) {
+      failures++;
+      console.log('FAILED ' + name + '\n' + (e && e.stack || e));
+    }
+  }
+  console.log(checks.length - failures + ' of ' + checks.length +
+              ' checks passed');
+  process.exitCode = failures ? 1 : 0;
+}
+
+main();
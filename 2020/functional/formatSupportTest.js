@@ -316,6 +316,7 @@ var FormatsupportTest = function() {
     var test = createFunctionalTest(
         testId, sizeToFetch ? 'PartialSegmentPlayback' : 'Playback', 'VP9 Live');
     test.prototype.title = 'Test if playback of VP9 live format is supported.';
+    test.prototype.usesMedia([videoStream, audioStream]);
     test.prototype.start = function(runner, video) {
       var ms = new MediaSource();
       var videoSb;
@@ -367,6 +368,8 @@ var FormatsupportTest = function() {
         'VP9 HDR',
         mandatory);
     test.prototype.title = 'Test playback of HDR 10-bit VP9 Profile 2.';
+    // Skipped on devices without HDR support unless mandatory.
+    test.prototype.setStreams([videoStream, audioStream]);
     test.prototype.start = function(runner, video) {
       if (!isTypeSupported(videoStream)) {
         runner.fail(`MIME type not supported: '${videoStream.mimetype}'`);
@@ -473,6 +476,7 @@ var FormatsupportTest = function() {
         this.video.src = window.URL.createObjectURL(this.ms);
     };
     test.prototype.title = `Test 5.1-channel ${audioStream.codec}`;
+    test.prototype.usesMedia([audioStream, Media.H264.VideoNormal]);
     test.prototype.onsourceopen = function() {
       var runner = this.runner;
       var media = this.video;
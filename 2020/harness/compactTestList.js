@@ -63,17 +63,39 @@ function Test(desc, style) {
     this.updateStatus(status);
   };
 
+  // Returns e.g. '2/3' for the second of three attempts when retries=N is
+  // set, empty otherwise.
+  this.getAttemptsText = function() {
+    if (!harnessConfig.retries || !this.desc.attempts)
+      return '';
+    var attempts = this.desc.attempts.length + (this.desc.running ? 1 : 0);
+    if (attempts === 0)
+      return '';
+    return attempts + '/' + (harnessConfig.retries + 1);
+  };
+
   this.updateStatus = function(status) {
     var text = this.desc.status;
+    var attemptsText = this.getAttemptsText();
     var failureStatus = '';
     status = status ? status : document.getElementById(this.statusId);
 
+    if (attemptsText)
+      text = text ? text + ' ' + attemptsText : attemptsText;
+    status.title = this.desc.skipReason || '';
+
     if (this.style === 'expanded-test-status') {
       failureStatus = this.desc.mandatory ? 'test-status-fail' :
           'test-status-optional-fail';
       if (this.desc.running) {
         status.innerHTML = text || '...';
         status.className = 'test-status-running';
+      } else if (this.desc.outcome === TestOutcome.SKIPPED) {
+        status.innerHTML = 'Skip';
+        status.className = 'test-status-skipped';
+      } else if (this.desc.classification === 'flaky') {
+        status.innerHTML = text || 'Flaky';
+        status.className = 'test-status-flaky';
       } else if (this.desc.failures) {
         status.innerHTML = text || 'Fail';
         status.className = failureStatus;
@@ -90,8 +112,14 @@ function Test(desc, style) {
    } else {
       failureStatus = this.desc.mandatory ? 'test-status-fail' :
           'test-status-optional-fail';
+      if (attemptsText)
+        status.innerHTML = attemptsText;
       if (this.desc.running) {
         status.className = 'test-status-running';
+      } else if (this.desc.outcome === TestOutcome.SKIPPED) {
+        status.className = 'test-status-skipped';
+      } else if (this.desc.classification === 'flaky') {
+        status.className = 'test-status-flaky';
       } else if (this.desc.failures) {
         status.className = failureStatus;
       } else if (this.desc.timeouts) {
@@ -40,17 +40,60 @@ var compactTestView = (function() {
           if (self.onrunselected)
             self.onrunselected.call(self, e);
         });
+      this.addCommand('Download Results', 'download-results',
+        'Download the results of this run as JSON.', function(e) {
+          var results = window.globalRunner.getResults();
+          util.downloadFile(
+              'results-' + results.testType + '-' + results.createdTime +
+                  '.json',
+              JSON.stringify(results, null, 2), 'application/json');
+        });
+      this.addCommand('Download JUnit', 'download-junit',
+        'Download the results of this run as JUnit XML.', function(e) {
+          util.downloadFile(
+              'results-' + harnessConfig.testType + '-' + Date.now() + '.xml',
+              window.globalRunner.getJUnitReport(), 'application/xml');
+        });
+      this.addCommand('Preflight Media', 'preflight-media',
+        'Check that the media of the selected tests is hosted as defined.',
+        function(e) {
+          var command = document.getElementById('preflight-media');
+          window.globalRunner.preflightMedia(function(done, total) {
+            command.innerHTML = 'Preflight Media (' + done + '/' + total + ')';
+          }).catch(function(e) {
+            window.globalRunner.log('Preflight failed: ' + e);
+          });
+        });
+      this.addCommand('Device Info', 'device-info',
+        'Show or hide the capabilities reported by this device.',
+        function(e) {
+          self.toggleDeviceInfo();
+        });
+      if (harnessConfig.media_cache) {
+        this.addCommand('Prefetch Media', 'prefetch-media',
+          'Download the media of the selected tests into the media cache.',
+          function(e) {
+            var command = document.getElementById('prefetch-media');
+            window.globalRunner.prefetchMedia(function(done, total) {
+              command.innerHTML = 'Prefetch Media (' + done + '/' + total + ')';
+            }).catch(function(e) {
+              window.globalRunner.log('Prefetch failed: ' + e);
+            });
+          });
+      }
       // Begin non GitHub files
       this.addCommand('Login', 'login', 'login to get user token.', function(e) {
         util.login(() => {
           if (document.getElementById('login-pop-up')) {
             document.getElementById('login-pop-up').style.display = 'none';
-            util.uploadTestResult(() => { window.LOG(this, ['Login:', 'Successful']); });
+            window.LOG('Login:', 'Successful');
+            util.uploadTestResult(self.showUploadSummary);
           }
         });
       });
       this.addCommand('Submit', 'submit', 'submit test results.', function(e) {
-        util.uploadTestResult(() => { window.LOG(this, ['TestResult:', 'Sent']); });
+        document.getElementById('submit').innerHTML = 'Submit (uploading)';
+        util.uploadTestResult(self.showUploadSummary);
       });
       //End non GitHub files
 
@@ -88,7 +131,11 @@ var compactTestView = (function() {
     };
 
     this.finishedOneTest = function() {
-      ++this.testCount;
+      this.setFinishedCount(this.testCount + 1);
+    };
+
+    this.setFinishedCount = function(count) {
+      this.testCount = count;
       document.getElementById('finish-count').innerHTML =
         this.testCount === 1 ? this.testCount + ' test finished' :
         this.testCount + ' tests finished';
@@ -98,6 +145,46 @@ var compactTestView = (function() {
       return this.testList.anySelected();
     };
 
+    // Expands the panel with the capability snapshot of the device, collecting
+    // it first if no run collected it yet, or collapses the panel.
+    this.toggleDeviceInfo = function() {
+      var panel = document.getElementById('deviceinfo');
+      if (panel.style.display === 'block') {
+        panel.style.display = 'none';
+        return;
+      }
+      panel.innerHTML = 'Collecting device info...';
+      panel.style.display = 'block';
+      window.globalRunner.collectDeviceInfo().then(function(snapshot) {
+        panel.innerHTML = '';
+        deviceInfo.format(snapshot).forEach(function(line) {
+          panel.appendChild(util.createElement('div', null, null, null));
+          panel.lastChild.textContent = line;
+        });
+      }, function(e) {
+        panel.textContent = 'Failed to collect device info: ' + e;
+      });
+    };
+
+    // Shows what the server accepted on the Submit command.
+    this.showUploadSummary = function(summary) {
+      var text = resultUploader.describe(summary);
+      var submit = document.getElementById('submit');
+      if (submit) {
+        submit.innerHTML = summary.inProgress ?
+            'Submit (uploading, ' + summary.pending + ' pending)' :
+            'Submit (' + summary.accepted + ' accepted' +
+                (summary.pending > 0 ? ', ' + summary.pending + ' pending' :
+                                       '') +
+                ')';
+        submit.title = text;
+      }
+      window.LOG('TestResult:', text);
+      summary.rejected.forEach(function(error) {
+        window.LOG('TestResult: rejected:', error);
+      });
+    };
+
     this.initialize();
   };
 
@@ -0,0 +1,234 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Lets a host machine drive the harness on devices without a keyboard. With
+// control=<host url> the harness long-polls <host>/control/poll for commands,
+// runs them and posts the outcome to <host>/control/reply, see
+// .utils/control-host.js for a host.
+//
+// A command is {id, command, args}, the reply {id, ok, result} or
+// {id, ok: false, error}. Commands:
+//   list              the tests of the suite.
+//   select {ids, category, name, mandatory}  selects tests like the URL
+//                     parameters of the same name, no selector selects all.
+//   start             runs the selected tests.
+//   stop              stops the run.
+//   status            progress of the run.
+//   results           the results document, see harness/testResults.js.
+//   logs {ids}        the logs of the tests, all or matching the id globs.
+(function() {
+
+var DEVICE_STORAGE_KEY = 'yts-control-device';
+// The host holds a poll for less than this when it has no command.
+var POLL_TIMEOUT = 35000;
+var RETRY_POLICY = {initialDelay: 1000, backoffFactor: 2, maxDelay: 30000};
+
+var getTestInfo = function(desc) {
+  return {
+    index: desc.index,
+    id: desc.id,
+    name: desc.name,
+    category: desc.category,
+    mandatory: desc.mandatory,
+    outcome: testResults.outcomeName(desc.outcome)
+  };
+};
+
+var COMMANDS = {
+  list: function(runner) {
+    return runner.testList.map(function(test, i) {
+      var info = getTestInfo(test.prototype);
+      info.selected = runner.isSelected(i);
+      return info;
+    });
+  },
+
+  select: function(runner, args) {
+    return runner.select(args || {}).map(function(test) {
+      return test.prototype.id;
+    });
+  },
+
+  start: function(runner) {
+    if (runner.runActive)
+      throw 'A run is in progress';
+    runner.startTest(0, runner.testList.length);
+    return COMMANDS.status(runner);
+  },
+
+  stop: function(runner) {
+    runner.stop();
+    return COMMANDS.status(runner);
+  },
+
+  status: function(runner) {
+    var counts = {};
+    runner.testList.forEach(function(test) {
+      var outcome = testResults.outcomeName(test.prototype.outcome);
+      counts[outcome] = (counts[outcome] || 0) + 1;
+    });
+    return {
+      testSuite: harnessConfig.testSuite,
+      testType: harnessConfig.testType,
+      running: !!runner.runActive,
+      currentTest: runner.currentTest ?
+          getTestInfo(runner.testList[runner.currentTestIdx].prototype) :
+          null,
+      finished: runner.testView ? runner.testView.testCount : 0,
+      selected: runner.getSelectedTests().length,
+      total: runner.testList.length,
+      outcomes: counts
+    };
+  },
+
+  results: function(runner) {
+    return runner.getResults();
+  },
+
+  logs: function(runner, args) {
+    var filter = args && args.ids ?
+        testSelector.createFilter({ids: args.ids}) : null;
+    var logs = {};
+    runner.testList.forEach(function(test) {
+      var desc = test.prototype;
+      if (desc.logs && desc.logs.length > 0 && (!filter || filter(desc)))
+        logs[desc.id] = desc.logs;
+    });
+    return logs;
+  }
+};
+
+var getDeviceId = function() {
+  var storage = null;
+  try {
+    storage = window.localStorage || null;
+  } catch (e) {
+    // Accessing localStorage throws when storage is disabled.
+  }
+  var id = storage && storage.getItem(DEVICE_STORAGE_KEY);
+  if (!id) {
+    id = 'device-' + Math.random().toString(36).substr(2, 8);
+    if (storage)
+      storage.setItem(DEVICE_STORAGE_KEY, id);
+  }
+  return id;
+};
+
+/**
+ * @param {!TestExecutor} runner
+ * @param {string} host base URL of the control host.
+ * @param {string=} opt_deviceId name of the device on the host, a name kept
+ *     in localStorage by default.
+ */
+var ControlClient = function(runner, host, opt_deviceId) {
+  this.runner = runner;
+  this.host = host.replace(/\/+$/, '');
+  this.deviceId = opt_deviceId || getDeviceId();
+  this.failures_ = 0;
+  this.stopped_ = false;
+};
+
+ControlClient.prototype.getUrl_ = function(path) {
+  return this.host + path + '?device=' + encodeURIComponent(this.deviceId) +
+      '&testType=' + encodeURIComponent(harnessConfig.testType);
+};
+
+ControlClient.prototype.start = function() {
+  this.runner.log('Remote control by ' + this.host + ' as ' + this.deviceId);
+  this.poll_();
+};
+
+ControlClient.prototype.stop = function() {
+  this.stopped_ = true;
+};
+
+ControlClient.prototype.retry_ = function() {
+  this.failures_++;
+  var delay = Math.min(RETRY_POLICY.maxDelay, RETRY_POLICY.initialDelay *
+                       Math.pow(RETRY_POLICY.backoffFactor,
+                                this.failures_ - 1));
+  window.setTimeout(this.poll_.bind(this), delay);
+};
+
+ControlClient.prototype.poll_ = function() {
+  if (this.stopped_)
+    return;
+  var self = this;
+  var xhr = new XMLHttpRequest();
+  xhr.open('GET', this.getUrl_('/control/poll'));
+  xhr.timeout = POLL_TIMEOUT;
+  xhr.onload = function() {
+    if (xhr.status === 204) {
+      self.failures_ = 0;
+      self.poll_();
+      return;
+    }
+    var command = null;
+    try {
+      command = xhr.status === 200 ? JSON.parse(xhr.responseText) : null;
+    } catch (e) {
+      // Handled as a failed poll below.
+    }
+    if (!command) {
+      self.retry_();
+      return;
+    }
+    self.failures_ = 0;
+    self.reply_(self.execute(command), self.poll_.bind(self));
+  };
+  xhr.onerror = xhr.ontimeout = function() {
+    self.retry_();
+  };
+  xhr.send();
+};
+
+/**
+ * Runs a command and returns the reply.
+ * @param {!Object} command {id, command, args}.
+ * @return {!Object}
+ */
+ControlClient.prototype.execute = function(command) {
+  var handler = COMMANDS.hasOwnProperty(command.command) ?
+      COMMANDS[command.command] : null;
+  if (!handler) {
+    return {id: command.id, ok: false,
+            error: 'Unknown command ' + command.command};
+  }
+  try {
+    return {id: command.id, ok: true,
+            result: handler(this.runner, command.args)};
+  } catch (e) {
+    return {id: command.id, ok: false, error: String(e)};
+  }
+};
+
+ControlClient.prototype.reply_ = function(reply, cb) {
+  var xhr = new XMLHttpRequest();
+  xhr.open('POST', this.getUrl_('/control/reply'));
+  // A simple request, so that no CORS preflight is needed.
+  xhr.setRequestHeader('Content-Type', 'text/plain');
+  xhr.onloadend = function() {
+    cb();
+  };
+  xhr.send(JSON.stringify(reply));
+};
+
+window.ControlClient = ControlClient;
+
+})();
@@ -0,0 +1,289 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Takes a snapshot of what the device under test reports about itself at the
+// start of a run: user agent, screen, the answers of isTypeSupported() for the
+// mimetypes of Media, HDR support, the available key systems and the answers
+// of MediaCapabilities. The snapshot is stored in the results so that failures
+// can be correlated with the hardware.
+(function() {
+
+// Queries of the browser that don't answer within this are reported as
+// timed out rather than holding up the snapshot.
+var QUERY_TIMEOUT = 5000;
+
+// Content types a key system is requested with, any of them will do.
+var KEY_SYSTEM_CAPABILITIES = [
+  'video/mp4; codecs="avc1.4d401e"',
+  'video/webm; codecs="vp9"'
+];
+
+var withTimeout = function(promise) {
+  return new Promise(function(resolve, reject) {
+    var timer = window.setTimeout(function() {
+      reject('Timed out after ' + QUERY_TIMEOUT + 'ms');
+    }, QUERY_TIMEOUT);
+    promise.then(function(value) {
+      window.clearTimeout(timer);
+      resolve(value);
+    }, function(e) {
+      window.clearTimeout(timer);
+      reject(e);
+    });
+  });
+};
+
+var getErrorMessage = function(e) {
+  return String(e && e.message ? e.message : e);
+};
+
+/**
+ * Returns the Cobalt version from the user agent, e.g. '20.lts.4.251455'.
+ * @return {?string}
+ */
+var getCobaltVersion = function() {
+  var match = /Cobalt\/([^\s-]+)/.exec(navigator.userAgent);
+  return match ? match[1] : null;
+};
+
+var getScreen = function() {
+  var screen = window.screen || {};
+  return {
+    width: screen.width || null,
+    height: screen.height || null,
+    colorDepth: screen.colorDepth || null,
+    devicePixelRatio: window.devicePixelRatio || null,
+    innerWidth: window.innerWidth || null,
+    innerHeight: window.innerHeight || null,
+    maxWindow: util.getMaxWindow()
+  };
+};
+
+/**
+ * Returns the distinct media configurations of the streams in Media: the
+ * mimetype and, for video, the size and frame rate.
+ * @param {!Object} media usually window.Media.
+ * @return {!Array<!Object>}
+ */
+var collectConfigurations = function(media) {
+  var configurations = [];
+  var seen = {};
+  var add = function(configuration) {
+    var key = JSON.stringify(configuration);
+    if (!seen[key]) {
+      seen[key] = true;
+      configurations.push(configuration);
+    }
+  };
+  for (var codec in media) {
+    for (var name in media[codec]) {
+      var stream = media[codec][name];
+      if (!stream || typeof stream.mimetype !== 'string' ||
+          typeof stream.get !== 'function') {
+        continue;
+      }
+      add({
+        mediatype: stream.mediatype,
+        mimetype: stream.mimetype,
+        width: stream.mediatype === 'video' ? stream.get('width') : null,
+        height: stream.mediatype === 'video' ? stream.get('height') : null,
+        framerate: stream.mediatype === 'video' ? stream.get('fps') : null
+      });
+    }
+  }
+  return configurations;
+};
+
+var getTypeSupport = function(configurations) {
+  var answers = {};
+  configurations.forEach(function(configuration) {
+    var mimetype = configuration.mimetype;
+    if (!answers.hasOwnProperty(mimetype)) {
+      try {
+        answers[mimetype] = MediaSource.isTypeSupported(mimetype);
+      } catch (e) {
+        answers[mimetype] = null;
+      }
+    }
+  });
+  return answers;
+};
+
+var getHdrSupport = function() {
+  try {
+    return util.supportHdr();
+  } catch (e) {
+    return null;
+  }
+};
+
+var getKeySystems = function() {
+  var keySystems = [];
+  for (var flavor in LicenseManager.flavorToSystem) {
+    LicenseManager.flavorToSystem[flavor].forEach(function(keySystem) {
+      keySystems.push(keySystem);
+    });
+  }
+  if (typeof navigator.requestMediaKeySystemAccess !== 'function') {
+    return Promise.resolve(keySystems.map(function(keySystem) {
+      return {keySystem: keySystem, supported: false,
+              error: 'requestMediaKeySystemAccess is not defined'};
+    }));
+  }
+  return Promise.all(keySystems.map(function(keySystem) {
+    var config = [{
+      initDataTypes: ['cenc', 'webm'],
+      videoCapabilities: KEY_SYSTEM_CAPABILITIES.map(function(type) {
+        return {contentType: type};
+      })
+    }];
+    return withTimeout(navigator.requestMediaKeySystemAccess(
+        keySystem, config)).then(function(access) {
+      return {
+        keySystem: keySystem,
+        supported: true,
+        videoCapabilities: access.getConfiguration().videoCapabilities.map(
+            function(capability) {
+          return capability.contentType;
+        })
+      };
+    }, function(e) {
+      return {keySystem: keySystem, supported: false,
+              error: getErrorMessage(e)};
+    });
+  }));
+};
+
+var getMediaCapabilities = function(configurations) {
+  if (!navigator.mediaCapabilities ||
+      typeof navigator.mediaCapabilities.decodingInfo !== 'function') {
+    return Promise.resolve(null);
+  }
+  return Promise.all(configurations.map(function(configuration) {
+    var query = {type: 'media-source'};
+    if (configuration.mediatype === 'video') {
+      query.video = {
+        contentType: configuration.mimetype,
+        // decodingInfo() requires all of these, streams without a size or a
+        // frame rate are queried as 1080p30.
+        width: configuration.width || 1920,
+        height: configuration.height || 1080,
+        framerate: configuration.framerate || 30,
+        bitrate: 1000000
+      };
+    } else {
+      query.audio = {contentType: configuration.mimetype};
+    }
+    var answer = Object.assign({}, configuration);
+    return withTimeout(navigator.mediaCapabilities.decodingInfo(query)).then(
+        function(info) {
+      answer.supported = info.supported;
+      answer.smooth = info.smooth;
+      answer.powerEfficient = info.powerEfficient;
+      return answer;
+    }, function(e) {
+      answer.error = getErrorMessage(e);
+      return answer;
+    });
+  }));
+};
+
+/**
+ * Collects the snapshot of the device.
+ * @return {!Promise<!Object>}
+ */
+var collect = function() {
+  var configurations = window.Media ? collectConfigurations(window.Media) : [];
+  var snapshot = {
+    userAgent: navigator.userAgent,
+    isCobalt: util.isCobalt(),
+    cobaltVersion: getCobaltVersion(),
+    screen: getScreen(),
+    supportHdr: getHdrSupport(),
+    isTypeSupported: getTypeSupport(configurations),
+    keySystems: null,
+    mediaCapabilities: null,
+    collectedTime: Date.now()
+  };
+  return Promise.all([
+    getKeySystems(),
+    getMediaCapabilities(configurations)
+  ]).then(function(answers) {
+    snapshot.keySystems = answers[0];
+    snapshot.mediaCapabilities = answers[1];
+    return snapshot;
+  });
+};
+
+/**
+ * Formats the snapshot for the view, one line per entry.
+ * @param {!Object} snapshot see collect().
+ * @return {!Array<string>}
+ */
+var format = function(snapshot) {
+  var screen = snapshot.screen;
+  var lines = [
+    'User agent: ' + snapshot.userAgent,
+    'Cobalt: ' + (snapshot.isCobalt ? snapshot.cobaltVersion || 'yes' : 'no'),
+    'Screen: ' + screen.width + 'x' + screen.height + ', window ' +
+        screen.maxWindow[0] + 'x' + screen.maxWindow[1] +
+        ' at device pixel ratio ' + screen.devicePixelRatio,
+    'HDR: ' + snapshot.supportHdr
+  ];
+  (snapshot.keySystems || []).forEach(function(answer) {
+    lines.push('Key system ' + answer.keySystem + ': ' +
+               (answer.supported ? 'supported' : 'unsupported, ' +
+                answer.error));
+  });
+  for (var mimetype in snapshot.isTypeSupported) {
+    lines.push('isTypeSupported ' + mimetype + ': ' +
+               snapshot.isTypeSupported[mimetype]);
+  }
+  if (snapshot.mediaCapabilities) {
+    snapshot.mediaCapabilities.forEach(function(answer) {
+      var size = answer.width ?
+          ' ' + answer.width + 'x' + answer.height + '@' + answer.framerate :
+          '';
+      lines.push('decodingInfo ' + answer.mimetype + size + ': ' +
+                 (answer.error ? answer.error :
+                  ['supported', 'smooth', 'powerEfficient'].filter(
+                      function(key) {
+                    return answer[key];
+                  }).join(', ') || 'unsupported'));
+    });
+  } else {
+    lines.push('MediaCapabilities: not available');
+  }
+  return lines;
+};
+
+window.deviceInfo = {
+  collect: collect,
+  collectConfigurations: collectConfigurations,
+  format: format
+};
+
+})();
+
+try {
+  exports.deviceInfo = window.deviceInfo;
+} catch (e) {
+  // do nothing, this function is not supposed to work for browser, but it's for
+  // Node js to generate json file instead.
+}
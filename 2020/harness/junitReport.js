@@ -0,0 +1,169 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Serializes results documents (see harness/testResults.js) into JUnit XML.
+// Each test type becomes a <testsuite> and each test a <testcase> named after
+// its dotted test id. Optional failures are reported as skipped so that they
+// don't break CI gates.
+(function() {
+
+// YouTube Test result outcome, mirrors TestOutcome in harness/test.js so that
+// this file can be used from Node js as well.
+var OUTCOME_PASSED = 1;
+var OUTCOME_FAILED = 2;
+var OUTCOME_OPTIONAL_FAILED = 3;
+var OUTCOME_SKIPPED = 4;
+
+var escapeXml = function(value) {
+  return String(value)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+};
+
+var toSeconds = function(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+};
+
+var attributes = function(attrs) {
+  var str = '';
+  for (var name in attrs) {
+    if (attrs[name] !== null && typeof attrs[name] !== 'undefined')
+      str += ' ' + name + '="' + escapeXml(attrs[name]) + '"';
+  }
+  return str;
+};
+
+var errorMessage = function(test) {
+  return test.error ? test.error.message : '';
+};
+
+var createTestCase = function(suiteName, test) {
+  var xml = '    <testcase' + attributes({
+    name: test.id,
+    classname: suiteName + '.' + test.category,
+    time: toSeconds(test.duration)
+  }) + '>\n';
+
+  xml += '      <properties>\n' +
+      '        <property' + attributes({name: 'name', value: test.name}) +
+      '/>\n' +
+      '        <property' +
+      attributes({name: 'mandatory', value: test.mandatory}) + '/>\n';
+  if (test.attempts && test.attempts.length > 1) {
+    xml += '        <property' +
+        attributes({name: 'attempts', value: test.attempts.length}) + '/>\n' +
+        '        <property' +
+        attributes({name: 'classification', value: test.classification}) +
+        '/>\n';
+  }
+  xml += '      </properties>\n';
+
+  if (test.outcome === OUTCOME_FAILED) {
+    var type = test.failures > 0 ? 'failure' : 'timeout';
+    xml += '      <failure' +
+        attributes({type: type, message: errorMessage(test)}) + '>' +
+        escapeXml(test.error && test.error.callStack ?
+                      test.error.callStack : '') +
+        '</failure>\n';
+  } else if (test.outcome === OUTCOME_OPTIONAL_FAILED) {
+    xml += '      <skipped' + attributes({
+      message: 'Optional test failed: ' + errorMessage(test)
+    }) + '/>\n';
+  } else if (test.outcome === OUTCOME_SKIPPED) {
+    xml += '      <skipped' +
+        attributes({message: test.skipReason || 'Skipped'}) + '/>\n';
+  } else if (test.outcome !== OUTCOME_PASSED) {
+    xml += '      <skipped' + attributes({message: 'Not run'}) + '/>\n';
+  }
+
+  if (test.logs && test.logs.length > 0) {
+    xml += '      <system-out>' + escapeXml(test.logs.join('\n')) +
+        '</system-out>\n';
+  }
+  return xml + '    </testcase>\n';
+};
+
+var createTestSuite = function(suiteName, tests, timestamp) {
+  var failures = 0;
+  var skipped = 0;
+  var time = 0;
+  var body = '';
+  for (var i = 0; i < tests.length; ++i) {
+    if (tests[i].outcome === OUTCOME_FAILED)
+      failures++;
+    else if (tests[i].outcome !== OUTCOME_PASSED)
+      skipped++;
+    time += tests[i].duration || 0;
+    body += createTestCase(suiteName, tests[i]);
+  }
+  return '  <testsuite' + attributes({
+    name: suiteName,
+    tests: tests.length,
+    failures: failures,
+    errors: 0,
+    skipped: skipped,
+    time: toSeconds(time),
+    timestamp: timestamp ? new Date(timestamp).toISOString() : null
+  }) + '>\n' + body + '  </testsuite>\n';
+};
+
+/**
+ * Serializes one or more results documents into a JUnit XML report.
+ * @param {!Object|!Array<!Object>} results
+ * @return {string}
+ */
+var createJUnitReport = function(results) {
+  results = results instanceof Array ? results : [results];
+  var suiteNames = [];
+  var suites = {};
+  var timestamps = {};
+  results.forEach(function(result) {
+    var suiteName = result.testType;
+    if (!suites[suiteName]) {
+      suiteNames.push(suiteName);
+      suites[suiteName] = [];
+      timestamps[suiteName] = result.runStartTime;
+    }
+    suites[suiteName] = suites[suiteName].concat(result.tests);
+  });
+
+  var xml = '<?xml version="1.0" encoding="UTF-8"?>\n<testsuites>\n';
+  suiteNames.forEach(function(suiteName) {
+    xml += createTestSuite(suiteName, suites[suiteName],
+                           timestamps[suiteName]);
+  });
+  return xml + '</testsuites>\n';
+};
+
+window.junitReport = {
+  create: createJUnitReport
+};
+
+})();
+
+try {
+  exports.junitReport = window.junitReport;
+} catch (e) {
+  // do nothing, this function is not supposed to work for browser, but it's for
+  // Node js to generate json file instead.
+}
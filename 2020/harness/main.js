@@ -39,16 +39,33 @@ var parseParam = function(param, defaultValue) {
   return value ? value[2] : defaultValue;
 };
 
+// Like parseParam() but accepts any URL encoded value, used for free-form
+// values such as test selectors. Example usage: category=MSE%20Formats
+var parseStringParam = function(param, defaultValue) {
+  var regex = new RegExp('(\\?|\\&)' + param + '=([^&#]*)');
+  var value = regex.exec(document.URL);
+  if (!value)
+    return defaultValue;
+  try {
+    return decodeURIComponent(value[2].replace(/\+/g, ' '));
+  } catch (e) {
+    return value[2];
+  }
+};
+
 var parseParams = function(testSuiteConfig) {
   var config = {};
   config.testType = parseParam('test_type', testSuiteConfig.defaultTestSuite);
   config.command = parseParam('command', '');
   config.timeout = Number(parseParam('timeout', TestBase.timeout));
+  config.stall_timeout =
+      Number(parseParam('stall_timeout', TestBase.stallTimeout));
   config.logging = !util.stringToBoolean(parseParam('disable_log', false));
   config.fullscreen = util.stringToBoolean(parseParam('fullscreen', false));
   config.loop = util.stringToBoolean(parseParam('loop', false));
   config.stoponfailure = util.stringToBoolean(
       parseParam('stoponfailure', false));
+  config.retries = Math.max(0, Number(parseParam('retries', 0)) || 0);
   config.enablewebm = util.stringToBoolean(
       parseParam('enablewebm', testSuiteConfig.enablewebm));
   config.muted = util.stringToBoolean(parseParam('muted', false));
@@ -56,6 +73,50 @@ var parseParams = function(testSuiteConfig) {
   config.tests = parseParam('tests');
   config.exclude = parseParam('exclude');
   config.testsMask = parseParam('tests_mask', '');
+  // Selectors by test attributes, see harness/testSelector.js.
+  config.ids = parseStringParam('ids', '');
+  config.category = parseStringParam('category', '');
+  config.name = parseStringParam('name', '');
+  config.mandatory = parseParam('mandatory', '');
+  // Remote control host, see harness/controlClient.js.
+  // Example usage: control=http://192.168.1.2:8001&control_device=livingroom
+  config.control = parseStringParam('control', '');
+  config.control_device = parseStringParam('control_device', '');
+  // Media download transport, xhr or fetch. Example usage: transport=fetch
+  config.transport = parseParam('transport', 'xhr');
+  // Media cache, see harness/mediaCache.js.
+  // Example usage: media_cache=true&media_cache_size=1024
+  config.media_cache = util.stringToBoolean(parseParam('media_cache', false));
+  config.media_cache_size = Number(parseParam('media_cache_size', 0)) || 0;
+  // Network emulation, see harness/networkEmulator.js.
+  // Example usage: net_profile=3mbps or net_throughput=3000&net_latency=100
+  config.net_profile = parseParam('net_profile', '');
+  config.net_throughput = parseStringParam('net_throughput', '');
+  config.net_latency = parseStringParam('net_latency', '');
+  config.net_chunk = parseStringParam('net_chunk', '');
+  config.net_failure_rate = parseStringParam('net_failure_rate', '');
+  config.net_seed = parseStringParam('net_seed', '');
+  // Startups of the startup latency tests, see media/playbackperfTest.js.
+  // Example usage: startup_iterations=5
+  config.startup_iterations =
+      Math.max(1, Number(parseParam('startup_iterations', 5)) || 5);
+  // Rounds of the seek pattern of the seek latency tests.
+  // Example usage: seek_iterations=10
+  config.seek_iterations =
+      Math.max(1, Number(parseParam('seek_iterations', 5)) || 5);
+  // Performance thresholds and durations, see harness/perfProfile.js.
+  // Example usage: perf_profile=profiles/partner.json&playback_duration=12.5
+  config.perf_profile = parseStringParam('perf_profile', '');
+  config.max_dropped_frames = parseStringParam('max_dropped_frames', '');
+  config.max_dropped_ratio = parseStringParam('max_dropped_ratio', '');
+  config.playback_duration = parseStringParam('playback_duration', '');
+  config.drm_playback_duration = parseStringParam('drm_playback_duration', '');
+  config.drm_skip_ahead = parseStringParam('drm_skip_ahead', '');
+  config.playback_speeds = parseStringParam('playback_speeds', '');
+  config.startup_cold_p95 = parseStringParam('startup_cold_p95', '');
+  config.startup_warm_p95 = parseStringParam('startup_warm_p95', '');
+  // Example usage: shard=2/4 runs the second quarter of the selected tests.
+  config.shard = parseStringParam('shard', '');
   config.testid = parseParam('testid', '');
   config.cert_scope = parseParam('cert_scope', null);
   config.sig = parseParam('sig', null);
@@ -80,6 +141,7 @@ var configureHarness = function(testSuiteConfig) {
       testSuiteConfig.controlMediaFormatSelection;
   harnessConfig.recycleVideoTag = true;
   TestBase.timeout = harnessConfig.timeout;
+  TestBase.stallTimeout = harnessConfig.stall_timeout;
 
   if (harnessConfig.testsMask) {
     harnessConfig.testsMask += '0';
@@ -134,14 +196,17 @@ var configureHarness = function(testSuiteConfig) {
 
 var createLogger = function() {
   window.LOG = function() {
-    if (!harnessConfig.logging)
-      return;
-    var output = document.getElementById('output');
     var text = '';
 
     for (var i = 0; i < arguments.length; ++i)
       text += arguments[i].toString() + ' ';
 
+    if (window.globalRunner)
+      window.globalRunner.recordLog(text);
+    if (!harnessConfig.logging)
+      return;
+    var output = document.getElementById('output');
+
     console.log(text);
     output.innerHTML = text + '\n' + output.innerHTML;
   };
@@ -190,12 +255,8 @@ var addTimestampHash = function() {
   window.location.hash = newTimeStamp;
 };
 
-window.startMseTest = function(testSuiteVer) {
-  setupMsePortability(testSuiteVer);
-  var testSuiteVersion = testSuiteVersions[testSuiteVer];
-  window.harnessConfig = parseParams(testSuiteVersion.config);
-  window.harnessConfig.testSuite = testSuiteVer;
-
+// Creates the runner of the test suite and runs the command of the URL.
+var startHarness = function(testSuiteVer, testSuiteVersion, savedState) {
   addTimestampHash();
 
   if (!testSuiteVersion.testSuites.indexOf(harnessConfig.testType) === -1) {
@@ -212,9 +273,73 @@ window.startMseTest = function(testSuiteVer) {
   createLogger();
 
   var testSuite = loadTests(harnessConfig.testType);
-  var runner = createRunner(testSuite, testSuiteVer, harnessConfig.testsMask);
-  if (harnessConfig.command === 'run')
+  var runner = createRunner(testSuite, testSuiteVer,
+      savedState ? savedState.testsMask : harnessConfig.testsMask);
+  harnessConfig.configErrors.forEach(function(error) {
+    runner.log('Configuration error: ' + error);
+  });
+  // Begin non GitHub files
+  // Results of earlier runs that couldn't be uploaded, e.g. because the
+  // device rebooted, are sent again.
+  if (resultUploader.getPendingCount() > 0)
+    resultUploader.flush(runner.testView.showUploadSummary);
+  //End non GitHub files
+  if (harnessConfig.control) {
+    runner.controlClient = new ControlClient(runner, harnessConfig.control,
+                                             harnessConfig.control_device);
+    runner.controlClient.start();
+  }
+  if (harnessConfig.command === 'run') {
     runner.startTest(0, runner.testList.length);
+  } else if (harnessConfig.command === 'preflight') {
+    // Checks the media of the selected tests without running them.
+    // Example usage: command=preflight
+    runner.preflightMedia().catch(function(e) {
+      runner.log('Preflight failed: ' + e);
+    });
+  } else if (harnessConfig.command === 'resume') {
+    if (!savedState) {
+      runner.log('No interrupted run to resume.');
+    } else if (!runner.resume(savedState)) {
+      runner.log('Saved run does not match the current test list, ' +
+                 'discarding it.');
+      runState.clear(testSuiteVer);
+    }
+  }
+};
+
+window.startMseTest = function(testSuiteVer) {
+  setupMsePortability(testSuiteVer);
+  var testSuiteVersion = testSuiteVersions[testSuiteVer];
+  window.harnessConfig = parseParams(testSuiteVersion.config);
+  window.harnessConfig.testSuite = testSuiteVer;
+
+  // Resume the last interrupted run with the configuration it was started
+  // with. Example usage: command=resume
+  var savedState = null;
+  if (harnessConfig.command === 'resume') {
+    savedState = runState.load(testSuiteVer);
+    if (savedState) {
+      Object.assign(harnessConfig, savedState.config);
+      harnessConfig.command = 'resume';
+    }
+  }
+
+  // Errors in the parameters are reported once the harness started, see
+  // startHarness().
+  harnessConfig.configErrors = checkNetworkConfig(harnessConfig).concat(
+      testSelector.checkConfig(harnessConfig));
+
+  // Performance thresholds and durations, see harness/perfProfile.js. The
+  // defaults apply when the profile can't be loaded.
+  perfProfile.load(harnessConfig.perf_profile, function(error, profile) {
+    if (error)
+      harnessConfig.configErrors.push(error);
+    harnessConfig.perfProfile = profile;
+    harnessConfig.configErrors = harnessConfig.configErrors.concat(
+        perfProfile.checkConfig(harnessConfig));
+    startHarness(testSuiteVer, testSuiteVersion, savedState);
+  });
 };
 
 })();
@@ -0,0 +1,281 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Keeps downloaded media in the Cache API so that tests sharing the same
+// streams don't download them again, which dominates run time on slow
+// networks. Entries are keyed by URL and byte range; a range is also served
+// from the whole file when that is cached, e.g. after a prefetch.
+//
+// Enabled with media_cache=true, media_cache_size=<MB> caps the cache size,
+// the least recently used entries are evicted first. Tests that measure the
+// network set bypassMediaCache.
+(function() {
+
+var CACHE_NAME = 'yts-media-cache';
+var INDEX_STORAGE_KEY = 'yts-media-cache-index';
+// Keys of the entries, the Cache API requires URLs.
+var KEY_PATH = 'yts-media-cache/';
+var DEFAULT_MAX_SIZE_MB = 512;
+
+var getStorage = function() {
+  try {
+    return window.localStorage || null;
+  } catch (e) {
+    // Accessing localStorage throws when storage is disabled.
+    return null;
+  }
+};
+
+var getKey = function(url, start, length) {
+  var range = start != null && length != null ?
+      start + '-' + (start + length - 1) : 'all';
+  return KEY_PATH + encodeURIComponent(url) + '/' + range;
+};
+
+/**
+ * @param {!Object} options
+ *     maxBytes: size cap of the cache.
+ *     logger: see harness/logger.js.
+ */
+var MediaCache = function(options) {
+  this.maxBytes = options.maxBytes;
+  this.logger_ = options.logger;
+  this.stats = {hits: 0, misses: 0, evictions: 0};
+  // Entry metadata by key: {url, start, length, size, lastUsed}, persisted
+  // so that the size cap and LRU order survive page reloads.
+  this.index_ = this.loadIndex_();
+};
+
+MediaCache.isSupported = function() {
+  return 'caches' in window && !!window.caches &&
+      typeof window.Response === 'function';
+};
+
+MediaCache.prototype.loadIndex_ = function() {
+  var storage = getStorage();
+  try {
+    return (storage && JSON.parse(storage.getItem(INDEX_STORAGE_KEY))) || {};
+  } catch (e) {
+    // Treat a corrupted index as empty, stale entries get overwritten.
+    return {};
+  }
+};
+
+MediaCache.prototype.saveIndex_ = function() {
+  var storage = getStorage();
+  if (!storage)
+    return;
+  try {
+    storage.setItem(INDEX_STORAGE_KEY, JSON.stringify(this.index_));
+  } catch (e) {
+    this.logger_.log('Failed to save media cache index: ' + e);
+  }
+};
+
+MediaCache.prototype.open_ = function() {
+  return window.caches.open(CACHE_NAME);
+};
+
+/**
+ * Returns the total size of the cached entries.
+ * @return {number} bytes.
+ */
+MediaCache.prototype.getSize = function() {
+  var size = 0;
+  for (var key in this.index_)
+    size += this.index_[key].size;
+  return size;
+};
+
+/**
+ * Returns whether the whole file is cached.
+ * @param {string} url
+ * @return {boolean}
+ */
+MediaCache.prototype.hasFile = function(url) {
+  return getKey(url) in this.index_;
+};
+
+MediaCache.prototype.read_ = function(cache, key) {
+  return cache.match(key).then(function(response) {
+    if (!response) {
+      // Evicted by the browser.
+      delete this.index_[key];
+      return null;
+    }
+    this.index_[key].lastUsed = Date.now();
+    this.saveIndex_();
+    return response.arrayBuffer();
+  }.bind(this));
+};
+
+/**
+ * Looks up a response, a range is sliced from the whole file if needed.
+ * @param {string} url
+ * @param {?number=} start
+ * @param {?number=} length
+ * @return {!Promise<?ArrayBuffer>} null on a miss.
+ */
+MediaCache.prototype.match = function(url, start, length) {
+  var key = getKey(url, start, length);
+  var fileKey = getKey(url);
+  var self = this;
+  var found;
+  if (key in this.index_) {
+    found = this.open_().then(function(cache) {
+      return self.read_(cache, key);
+    });
+  } else if (key !== fileKey && fileKey in this.index_ &&
+             start + length <= this.index_[fileKey].size) {
+    found = this.open_().then(function(cache) {
+      return self.read_(cache, fileKey);
+    }).then(function(buffer) {
+      return buffer && buffer.slice(start, start + length);
+    });
+  } else {
+    found = Promise.resolve(null);
+  }
+  return found.then(function(buffer) {
+    if (buffer)
+      self.stats.hits++;
+    else
+      self.stats.misses++;
+    return buffer;
+  });
+};
+
+/**
+ * Stores a response, evicting the least recently used entries to stay within
+ * maxBytes. Responses larger than maxBytes aren't stored.
+ * @param {string} url
+ * @param {?number|undefined} start
+ * @param {?number|undefined} length
+ * @param {!ArrayBuffer} buffer
+ * @return {!Promise}
+ */
+MediaCache.prototype.put = function(url, start, length, buffer) {
+  if (buffer.byteLength > this.maxBytes)
+    return Promise.resolve();
+  var key = getKey(url, start, length);
+  var self = this;
+  return this.open_().then(function(cache) {
+    return cache.put(key, new Response(buffer)).then(function() {
+      self.index_[key] = {
+        url: url,
+        start: start != null ? start : null,
+        length: length != null ? length : null,
+        size: buffer.byteLength,
+        lastUsed: Date.now()
+      };
+      return self.evict_(cache);
+    });
+  }).then(function() {
+    self.saveIndex_();
+  });
+};
+
+MediaCache.prototype.evict_ = function(cache) {
+  var keys = Object.keys(this.index_).sort(function(a, b) {
+    return this.index_[a].lastUsed - this.index_[b].lastUsed;
+  }.bind(this));
+  var size = this.getSize();
+  var evicted = [];
+  while (size > this.maxBytes && keys.length > 0) {
+    var key = keys.shift();
+    size -= this.index_[key].size;
+    delete this.index_[key];
+    evicted.push(cache.delete(key));
+    this.stats.evictions++;
+  }
+  return Promise.all(evicted);
+};
+
+/**
+ * Downloads whole files into the cache, one at a time. Files that are already
+ * cached or larger than maxBytes are skipped.
+ * @param {!Array<{url: string, size: number}>} files
+ * @param {function(number, number, string)=} opt_onprogress called with the
+ *     number of files done, the total and the file being downloaded.
+ * @return {!Promise<{cached: number, skipped: number, failed: number}>}
+ */
+MediaCache.prototype.prefetch = function(files, opt_onprogress) {
+  var self = this;
+  var summary = {cached: 0, skipped: 0, failed: 0};
+  var onprogress = opt_onprogress || function() {};
+  var next = function(i) {
+    if (i >= files.length)
+      return Promise.resolve(summary);
+    var file = files[i];
+    onprogress(i, files.length, file.url);
+    if (self.hasFile(file.url) || file.size > self.maxBytes) {
+      summary.skipped++;
+      return next(i + 1);
+    }
+    return window.fetch(file.url).then(function(response) {
+      if (!response.ok)
+        throw 'status ' + response.status;
+      return response.arrayBuffer();
+    }).then(function(buffer) {
+      return self.put(file.url, null, null, buffer);
+    }).then(function() {
+      summary.cached++;
+    }, function(e) {
+      self.logger_.log('Failed to prefetch ' + file.url + ': ' + e);
+      summary.failed++;
+    }).then(function() {
+      return next(i + 1);
+    });
+  };
+  return next(0).then(function(summary) {
+    onprogress(files.length, files.length, '');
+    return summary;
+  });
+};
+
+/**
+ * Removes every entry.
+ * @return {!Promise}
+ */
+MediaCache.prototype.clear = function() {
+  this.index_ = {};
+  this.saveIndex_();
+  return window.caches.delete(CACHE_NAME);
+};
+
+/**
+ * Creates the cache when media_cache is enabled in the config.
+ * @param {!Object} config usually harnessConfig.
+ * @param {!Object} logger
+ * @return {?MediaCache} null when disabled or not supported.
+ */
+var createMediaCache = function(config, logger) {
+  if (!config.media_cache)
+    return null;
+  if (!MediaCache.isSupported()) {
+    logger.log('Cache API is not supported, media cache disabled');
+    return null;
+  }
+  var sizeMB = Number(config.media_cache_size) || DEFAULT_MAX_SIZE_MB;
+  return new MediaCache({maxBytes: sizeMB * 1024 * 1024, logger: logger});
+};
+
+window.MediaCache = MediaCache;
+window.createMediaCache = createMediaCache;
+
+})();
@@ -0,0 +1,231 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Checks that the streams used by the tests are hosted with the size recorded
+// in lib/streams/mediaStreams.js, and the sha256 checksum when a stream
+// defines one, so that missing or stale media is reported before a run rather
+// than by tests failing halfway through it.
+//
+// The checks are independent of where the media lives: a probe looks a stream
+// up and reports what it found. The harness probes the media server over HTTP
+// (command=preflight), .utils/preflight-media.js probes a local directory.
+(function() {
+
+/**
+ * Returns the streams declared by tests through TestBase.usesMedia(), each
+ * file once.
+ * @param {!Array<!Function>} tests test constructors.
+ * @return {!Array<!Object>}
+ */
+var collectStreams = function(tests) {
+  var streams = [];
+  var seen = {};
+  tests.forEach(function(test) {
+    (test.prototype.media || []).forEach(function(stream) {
+      if (!seen[stream.src]) {
+        seen[stream.src] = true;
+        streams.push(stream);
+      }
+    });
+  });
+  return streams;
+};
+
+/**
+ * Returns every stream defined in Media, each file once.
+ * @param {!Object} media usually window.Media.
+ * @return {!Array<!Object>}
+ */
+var collectAllStreams = function(media) {
+  var streams = [];
+  var seen = {};
+  for (var codec in media) {
+    for (var name in media[codec]) {
+      var stream = media[codec][name];
+      if (stream && typeof stream.src === 'string' && !seen[stream.src]) {
+        seen[stream.src] = true;
+        streams.push(stream);
+      }
+    }
+  }
+  return streams;
+};
+
+var getExpectedChecksum = function(stream) {
+  return typeof stream.get === 'function' ? stream.get('sha256') : null;
+};
+
+/**
+ * Probes streams one at a time and compares what was found with their
+ * definition.
+ * @param {!Array<!Object>} streams
+ * @param {function(!Object, ?string): !Promise<!Object>} probe called with a
+ *     stream and the expected sha256 checksum, if any. Resolves to
+ *     {exists, size, sha256}, size and sha256 being null when unknown.
+ * @param {function(number, number, string)=} opt_onprogress called with the
+ *     number of streams checked, the total and the stream being checked.
+ * @return {!Promise<!Object>} the report, see formatReport().
+ */
+var checkStreams = function(streams, probe, opt_onprogress) {
+  var onprogress = opt_onprogress || function() {};
+  var report = {checked: 0, ok: 0, missing: [], mismatched: [], errors: []};
+  var next = function(i) {
+    if (i >= streams.length) {
+      onprogress(streams.length, streams.length, '');
+      return Promise.resolve(report);
+    }
+    var stream = streams[i];
+    var checksum = getExpectedChecksum(stream);
+    onprogress(i, streams.length, stream.src);
+    return Promise.resolve().then(function() {
+      return probe(stream, checksum);
+    }).then(function(found) {
+      report.checked++;
+      if (!found.exists) {
+        report.missing.push({src: stream.src, size: stream.size});
+      } else if (found.size !== null && found.size !== stream.size) {
+        report.mismatched.push({src: stream.src, field: 'size',
+                                expected: stream.size, actual: found.size});
+      } else if (checksum && found.sha256 !== null &&
+                 found.sha256.toLowerCase() !== checksum.toLowerCase()) {
+        report.mismatched.push({src: stream.src, field: 'sha256',
+                                expected: checksum, actual: found.sha256});
+      } else {
+        report.ok++;
+      }
+    }, function(e) {
+      report.checked++;
+      report.errors.push({src: stream.src, error: String(e)});
+    }).then(function() {
+      return next(i + 1);
+    });
+  };
+  return next(0);
+};
+
+/**
+ * Returns whether the report has no missing, mismatched or unchecked streams.
+ * @param {!Object} report
+ * @return {boolean}
+ */
+var isClean = function(report) {
+  return report.missing.length === 0 && report.mismatched.length === 0 &&
+      report.errors.length === 0;
+};
+
+/**
+ * Formats a report as log lines.
+ * @param {!Object} report
+ * @return {!Array<string>}
+ */
+var formatReport = function(report) {
+  var lines = ['Media preflight: ' + report.checked + ' streams checked, ' +
+               report.ok + ' ok, ' + report.missing.length + ' missing, ' +
+               report.mismatched.length + ' mismatched, ' +
+               report.errors.length + ' errors'];
+  report.missing.forEach(function(item) {
+    lines.push('  missing ' + item.src + ' (' + item.size + ' bytes)');
+  });
+  report.mismatched.forEach(function(item) {
+    lines.push('  mismatched ' + item.src + ': ' + item.field + ' is ' +
+               item.actual + ', expected ' + item.expected);
+  });
+  report.errors.forEach(function(item) {
+    lines.push('  error ' + item.src + ': ' + item.error);
+  });
+  return lines;
+};
+
+var toHex = function(buffer) {
+  return Array.prototype.map.call(new Uint8Array(buffer), function(byte) {
+    return ('0' + byte.toString(16)).slice(-2);
+  }).join('');
+};
+
+var getTotalSize = function(response) {
+  // Content-Range of a range response: bytes 0-0/<total>.
+  var range = /\/(\d+)$/.exec(response.headers.get('Content-Range') || '');
+  if (range)
+    return Number(range[1]);
+  var length = response.headers.get('Content-Length');
+  return length !== null && response.status === 200 ? Number(length) : null;
+};
+
+/**
+ * Creates a probe that looks streams up on the media server with a HEAD
+ * request, or a one byte range request where HEAD doesn't report the size.
+ * Streams with a checksum are downloaded to compute theirs.
+ * @return {function(!Object, ?string): !Promise<!Object>}
+ */
+var createHttpProbe = function() {
+  return function(stream, checksum) {
+    var notFound = function(response) {
+      return response.status === 404 || response.status === 410;
+    };
+    return window.fetch(stream.src, {method: 'HEAD', cache: 'no-store'})
+        .then(function(response) {
+      if (notFound(response))
+        return {exists: false, size: null, sha256: null};
+      var size = response.ok ? getTotalSize(response) : null;
+      if (size !== null)
+        return {exists: true, size: size, sha256: null};
+      return window.fetch(stream.src, {headers: {Range: 'bytes=0-0'},
+                                       cache: 'no-store'})
+          .then(function(response) {
+        if (notFound(response))
+          return {exists: false, size: null, sha256: null};
+        if (!response.ok)
+          throw 'HTTP status ' + response.status;
+        return {exists: true, size: getTotalSize(response), sha256: null};
+      });
+    }).then(function(found) {
+      if (!found.exists || !checksum || !window.crypto ||
+          !window.crypto.subtle) {
+        return found;
+      }
+      return window.fetch(stream.src, {cache: 'no-store'})
+          .then(function(response) {
+        return response.arrayBuffer();
+      }).then(function(buffer) {
+        return window.crypto.subtle.digest('SHA-256', buffer);
+      }).then(function(digest) {
+        found.sha256 = toHex(digest);
+        return found;
+      });
+    });
+  };
+};
+
+window.mediaPreflight = {
+  collectStreams: collectStreams,
+  collectAllStreams: collectAllStreams,
+  checkStreams: checkStreams,
+  isClean: isClean,
+  formatReport: formatReport,
+  createHttpProbe: createHttpProbe
+};
+
+})();
+
+try {
+  exports.mediaPreflight = window.mediaPreflight;
+} catch (e) {
+  // do nothing, this function is not supposed to work for browser, but it's for
+  // Node js to generate json file instead.
+}
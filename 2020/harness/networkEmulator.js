@@ -0,0 +1,230 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Emulates slow and lossy links on top of the XHRs of an XHRManager. The data
+// is downloaded at full speed but handed to the test as if it came through a
+// link with the configured latency and throughput, chunk by chunk, and some
+// attempts can be turned into network errors part way through the transfer.
+// Concurrent requests share the throughput of the link.
+//
+// Configured with net_profile=<name> and/or the individual parameters, which
+// override the values of the profile:
+//   net_throughput  kbit/s, 0 for unlimited.
+//   net_latency     ms added before the first byte of every request.
+//   net_chunk       bytes per delivered chunk.
+//   net_failure_rate  probability in [0, 1] that an attempt fails.
+//   net_seed        seed of the failure injection, for reproducible runs.
+(function() {
+
+var NETWORK_PROFILES = {
+  'broadband': {throughput: 25000, latency: 20, chunkSize: 65536,
+                failureRate: 0},
+  'dsl': {throughput: 6000, latency: 50, chunkSize: 65536, failureRate: 0},
+  '3mbps': {throughput: 3000, latency: 100, chunkSize: 32768, failureRate: 0},
+  'slow': {throughput: 1500, latency: 300, chunkSize: 16384, failureRate: 0},
+  'lossy': {throughput: 6000, latency: 100, chunkSize: 65536,
+            failureRate: 0.05}
+};
+
+// Valid range of each numeric parameter.
+var NETWORK_PARAMS = {
+  'net_throughput': {min: 0, max: Infinity},
+  'net_latency': {min: 0, max: Infinity},
+  'net_chunk': {min: 1, max: Infinity},
+  'net_failure_rate': {min: 0, max: 1},
+  'net_seed': {min: 0, max: Infinity}
+};
+
+// Small seeded PRNG (mulberry32) so that failures are reproducible.
+var createRandom = function(seed) {
+  var state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * @param {!Object} conditions
+ *     name: profile name, if any.
+ *     throughput: kbit/s, 0 for unlimited.
+ *     latency: ms.
+ *     chunkSize: bytes, 0 to deliver responses at once.
+ *     failureRate: probability in [0, 1].
+ *     seed: seed of the failure injection.
+ */
+var NetworkEmulator = function(conditions) {
+  this.conditions = conditions;
+  this.random_ = createRandom(conditions.seed);
+  // When the link is done sending the chunks scheduled so far.
+  this.linkFreeTime_ = 0;
+};
+
+/**
+ * Returns whether the next attempt should fail.
+ * @return {boolean}
+ */
+NetworkEmulator.prototype.shouldFail = function() {
+  return this.conditions.failureRate > 0 &&
+      this.random_() < this.conditions.failureRate;
+};
+
+/**
+ * Returns how many bytes of a response arrive before a failing attempt
+ * breaks off.
+ * @param {number} bytes size of the response.
+ * @return {number}
+ */
+NetworkEmulator.prototype.getFailureOffset = function(bytes) {
+  return Math.floor(this.random_() * bytes);
+};
+
+/**
+ * Returns how long the link takes to send the given number of bytes.
+ * @param {number} bytes
+ * @return {number} ms.
+ */
+NetworkEmulator.prototype.getTransferTime = function(bytes) {
+  var throughput = this.conditions.throughput;
+  // bytes * 8 / (kbit/s) gives ms.
+  return throughput ? bytes * 8 / throughput : 0;
+};
+
+/**
+ * Delivers a response that was downloaded in full as if it came through the
+ * emulated link. The chunks of all deliveries are sent one after another
+ * over the link, so concurrent requests split its throughput between them.
+ * @param {number} startTime when the request was sent.
+ * @param {number} bytes bytes to deliver, less than the size of the response
+ *     for an attempt that fails part way through.
+ * @param {function(number)} onchunk called with the number of bytes arrived
+ *     so far each time a chunk arrives.
+ * @param {function()} ondone called once all the bytes arrived.
+ * @return {function()} cancels the delivery.
+ */
+NetworkEmulator.prototype.deliver = function(startTime, bytes, onchunk,
+                                             ondone) {
+  var self = this;
+  var chunkSize = this.conditions.chunkSize || bytes || 1;
+  var firstByteTime = startTime + this.conditions.latency;
+  var arrived = 0;
+  var timer = null;
+  // The next chunk is put on the link once the previous one arrived, which
+  // interleaves the chunks of concurrent deliveries.
+  var sendChunk = function() {
+    var size = Math.min(chunkSize, bytes - arrived);
+    var sendTime = Math.max(firstByteTime, self.linkFreeTime_);
+    var arrivalTime = sendTime + self.getTransferTime(size);
+    self.linkFreeTime_ = arrivalTime;
+    timer = window.setTimeout(function() {
+      timer = null;
+      arrived += size;
+      onchunk(arrived);
+      if (arrived >= bytes)
+        ondone();
+      else
+        sendChunk();
+    }, Math.max(0, arrivalTime - Date.now()));
+  };
+  sendChunk();
+  return function() {
+    if (timer !== null)
+      window.clearTimeout(timer);
+    timer = null;
+  };
+};
+
+/**
+ * Checks the net_* parameters of the config. An unknown profile or an invalid
+ * value is dropped so that the harness still starts, without it.
+ * @param {!Object} config usually harnessConfig.
+ * @return {!Array<string>} the configuration errors.
+ */
+var checkNetworkConfig = function(config) {
+  var errors = [];
+  if (config.net_profile &&
+      !NETWORK_PROFILES.hasOwnProperty(config.net_profile)) {
+    errors.push('Unknown network profile ' + config.net_profile +
+                ', expected one of ' +
+                Object.keys(NETWORK_PROFILES).join(', '));
+    config.net_profile = '';
+  }
+  Object.keys(NETWORK_PARAMS).forEach(function(param) {
+    var value = config[param];
+    if (value === null || typeof value === 'undefined' || value === '')
+      return;
+    var range = NETWORK_PARAMS[param];
+    var number = Number(value);
+    if (!isFinite(number) || number < range.min || number > range.max) {
+      errors.push('Invalid ' + param + ' ' + value + ', expected a number ' +
+                  (range.max === Infinity ? '>= ' + range.min :
+                   'in [' + range.min + ', ' + range.max + ']'));
+      config[param] = '';
+    }
+  });
+  return errors;
+};
+
+/**
+ * Creates the emulator described by the net_* parameters of the config, see
+ * checkNetworkConfig().
+ * @param {!Object} config usually harnessConfig.
+ * @return {?NetworkEmulator} null when no emulation is configured.
+ */
+var createNetworkEmulator = function(config) {
+  var profile = {};
+  if (config.net_profile) {
+    if (!NETWORK_PROFILES.hasOwnProperty(config.net_profile))
+      throw 'Unknown network profile ' + config.net_profile;
+    profile = NETWORK_PROFILES[config.net_profile];
+  }
+  var pick = function(param, field) {
+    var value = config[param];
+    if (value === null || typeof value === 'undefined' || value === '')
+      return profile[field] || 0;
+    var number = Number(value);
+    var range = NETWORK_PARAMS[param];
+    if (!isFinite(number) || number < range.min || number > range.max)
+      throw 'Invalid ' + param + ' ' + value;
+    return number;
+  };
+  var conditions = {
+    name: config.net_profile || 'custom',
+    throughput: pick('net_throughput', 'throughput'),
+    latency: pick('net_latency', 'latency'),
+    chunkSize: pick('net_chunk', 'chunkSize'),
+    failureRate: pick('net_failure_rate', 'failureRate'),
+    seed: pick('net_seed', 'seed') || 1
+  };
+  if (!conditions.throughput && !conditions.latency &&
+      !conditions.failureRate) {
+    return null;
+  }
+  return new NetworkEmulator(conditions);
+};
+
+window.NetworkEmulator = NetworkEmulator;
+window.NETWORK_PROFILES = NETWORK_PROFILES;
+window.checkNetworkConfig = checkNetworkConfig;
+window.createNetworkEmulator = createNetworkEmulator;
+
+})();
@@ -0,0 +1,281 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Pass thresholds and playback durations of the playback performance tests,
+// and the latency thresholds of the startup and seek latency tests. The
+// defaults can be changed per suite by a JSON profile, given with
+// perf_profile= either inline or as the URL of a JSON file, e.g.
+//
+//   {
+//     "default": {"maxDroppedFrames": 3},
+//     "hfr": {"maxDroppedFramesRatio": 0.3, "playbackSpeeds": [1, 2]},
+//     "widevine-sfr-vp9": {"drmPlaybackDuration": 40},
+//     "seek": {"seekUnbufferedP95": {"AV1": 3000}}
+//   }
+//
+// where the keys are the subgroups of media/playbackperfTest.js, and for all
+// suites by URL parameters, which take precedence over the profile:
+// max_dropped_frames, max_dropped_ratio, playback_duration,
+// drm_playback_duration, drm_skip_ahead, playback_speeds, startup_cold_p95
+// and startup_warm_p95. Thresholds by codec only change the codecs they list.
+(function() {
+
+var DEFAULT_SETTINGS = {
+  // Dropped frames allowed during playback.
+  maxDroppedFrames: 1,
+  // Ratio of dropped to decoded frames allowed during HFR playback faster
+  // than 1X.
+  maxDroppedFramesRatio: 0.5,
+  // currentTime in seconds at which playback stops.
+  playbackDuration: 15,
+  drmPlaybackDuration: 25,
+  // currentTime in seconds DRM playback skips to once it started.
+  drmSkipAhead: 10,
+  // Speeds of the playback tests. Their test ids don't depend on the speeds
+  // selected, see getPlaybackPerfTestId() in media/playbackperfTest.js.
+  playbackSpeeds: [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2],
+  // 95th percentiles of the time to first frame in ms of the startup latency
+  // tests, with a cold and a warm cache.
+  startupColdFirstFrameP95: 3000,
+  startupWarmFirstFrameP95: 2000,
+  // 95th percentiles of the time from a seek to its first frame in ms of the
+  // seek latency tests by codec, for seeks within the buffer and to
+  // unbuffered positions.
+  seekBufferedP95: {VP9: 500, H264: 500, AV1: 750},
+  seekUnbufferedP95: {VP9: 2000, H264: 2000, AV1: 2500}
+};
+
+// Settings holding a value by codec.
+var CODEC_SETTINGS = ['seekBufferedP95', 'seekUnbufferedP95'];
+
+// URL parameters overriding the settings, by setting.
+var PARAMS = {
+  maxDroppedFrames: 'max_dropped_frames',
+  maxDroppedFramesRatio: 'max_dropped_ratio',
+  playbackDuration: 'playback_duration',
+  drmPlaybackDuration: 'drm_playback_duration',
+  drmSkipAhead: 'drm_skip_ahead',
+  playbackSpeeds: 'playback_speeds',
+  startupColdFirstFrameP95: 'startup_cold_p95',
+  startupWarmFirstFrameP95: 'startup_warm_p95'
+};
+
+var isNonNegativeNumber = function(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
+};
+
+var isCodecMap = function(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.keys(value).every(function(codec) {
+        return isNonNegativeNumber(value[codec]);
+      });
+};
+
+var validate = function(settings, source) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw 'Invalid performance settings in ' + source + ': ' +
+        JSON.stringify(settings);
+  }
+  for (var name in settings) {
+    if (!DEFAULT_SETTINGS.hasOwnProperty(name))
+      throw 'Unknown performance setting ' + name + ' in ' + source;
+    var value = settings[name];
+    var valid;
+    if (name === 'playbackSpeeds') {
+      valid = Array.isArray(value) && value.length > 0 &&
+          value.every(function(speed) {
+            return isNonNegativeNumber(speed) && speed > 0;
+          });
+    } else if (CODEC_SETTINGS.indexOf(name) !== -1) {
+      valid = isCodecMap(value);
+    } else {
+      valid = isNonNegativeNumber(value);
+    }
+    if (!valid) {
+      throw 'Invalid performance setting ' + name + ' in ' + source + ': ' +
+          JSON.stringify(value);
+    }
+  }
+};
+
+/**
+ * Reads the URL parameter overrides from the harness configuration.
+ * @param {!Object} config harnessConfig.
+ * @return {!Object} the settings that are set.
+ */
+var getOverrides = function(config) {
+  var overrides = {};
+  for (var name in PARAMS) {
+    var value = config[PARAMS[name]];
+    if (value === undefined || value === null || value === '')
+      continue;
+    overrides[name] = name === 'playbackSpeeds' ?
+        String(value).split(',').map(Number) : Number(value);
+  }
+  return overrides;
+};
+
+/**
+ * Returns the effective settings of a suite: the defaults, overridden by the
+ * "default" and the suite entries of the profile, overridden by the URL
+ * parameters.
+ * @param {?Object} profile
+ * @param {string} suite subgroup of media/playbackperfTest.js, e.g. 'hfr'.
+ * @param {!Object} overrides see getOverrides().
+ * @return {!Object}
+ */
+var resolve = function(profile, suite, overrides) {
+  var settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  var layers = [];
+  if (profile && profile['default'])
+    layers.push({settings: profile['default'], source: 'profile default'});
+  if (profile && profile[suite])
+    layers.push({settings: profile[suite], source: 'profile ' + suite});
+  layers.push({settings: overrides, source: 'URL parameters'});
+  layers.forEach(function(layer) {
+    validate(layer.settings, layer.source);
+    for (var name in layer.settings) {
+      settings[name] = CODEC_SETTINGS.indexOf(name) !== -1 ?
+          Object.assign(settings[name], layer.settings[name]) :
+          layer.settings[name];
+    }
+  });
+  return settings;
+};
+
+/**
+ * Checks the profile and the URL parameter overrides of the config once, so
+ * that the suites can get their settings. Invalid settings and profile
+ * entries are dropped so that the harness still starts, with the defaults in
+ * their place.
+ * @param {!Object} config usually harnessConfig, with the loaded profile as
+ *     perfProfile.
+ * @return {!Array<string>} the configuration errors.
+ */
+var checkConfig = function(config) {
+  var errors = [];
+  var getError = function(name, value, source) {
+    var setting = {};
+    setting[name] = value;
+    try {
+      validate(setting, source);
+      return null;
+    } catch (e) {
+      return e;
+    }
+  };
+  var profile = config.perfProfile;
+  for (var suite in profile) {
+    var entry = profile[suite];
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push('Invalid performance settings in profile ' + suite + ': ' +
+                  JSON.stringify(entry));
+      delete profile[suite];
+      continue;
+    }
+    for (var name in entry) {
+      var error = getError(name, entry[name], 'profile ' + suite);
+      if (error) {
+        errors.push(error);
+        delete entry[name];
+      }
+    }
+  }
+  var overrides = getOverrides(config);
+  for (var name in overrides) {
+    if (getError(name, overrides[name], 'URL parameters')) {
+      errors.push('Invalid performance URL parameter ' + PARAMS[name] + '=' +
+                  config[PARAMS[name]]);
+      config[PARAMS[name]] = '';
+    }
+  }
+  return errors;
+};
+
+/**
+ * Returns the effective settings of a suite for the current run, see
+ * checkConfig().
+ * @param {string} suite see resolve().
+ * @return {!Object}
+ */
+var getSettings = function(suite) {
+  var config = window.harnessConfig || {};
+  return resolve(config.perfProfile || null, suite, getOverrides(config));
+};
+
+/**
+ * Loads a profile.
+ * @param {string} source inline JSON, or the URL of a JSON file. Nothing is
+ *     loaded when empty.
+ * @param {function(?string, ?Object)} cb called with an error or the profile.
+ */
+var load = function(source, cb) {
+  var parse = function(text) {
+    var profile;
+    try {
+      profile = JSON.parse(text);
+    } catch (e) {
+      cb('Invalid performance profile: ' + e.message, null);
+      return;
+    }
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      cb('Invalid performance profile: not an object', null);
+      return;
+    }
+    cb(null, profile);
+  };
+  if (!source) {
+    cb(null, null);
+  } else if (source.trim().charAt(0) === '{') {
+    parse(source);
+  } else {
+    var xhr = new XMLHttpRequest();
+    xhr.open('GET', source);
+    xhr.onload = function() {
+      if (xhr.status === 200) {
+        parse(xhr.responseText);
+      } else {
+        cb('Failed to load performance profile ' + source + ': status ' +
+           xhr.status, null);
+      }
+    };
+    xhr.onerror = function() {
+      cb('Failed to load performance profile ' + source, null);
+    };
+    xhr.send();
+  }
+};
+
+window.perfProfile = {
+  DEFAULT_SETTINGS: DEFAULT_SETTINGS,
+  checkConfig: checkConfig,
+  getOverrides: getOverrides,
+  getSettings: getSettings,
+  load: load,
+  resolve: resolve
+};
+
+})();
+
+try {
+  exports.perfProfile = window.perfProfile;
+} catch (e) {
+  // do nothing, this function is not supposed to work for browser, but it's for
+  // Node js to generate json file instead.
+}
@@ -0,0 +1,105 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Prerequisites that tests declare with TestBase.requires(). TestExecutor
+// evaluates them before start() and reports the test as SKIPPED when one isn't
+// met, instead of running a test that can only fail. Only optional tests
+// declare requirements: a mandatory test the device can't run is a failure.
+//
+// A requirement is {description, check} where check() returns a boolean or a
+// Promise resolving to one.
+(function() {
+
+var Requirement = {};
+
+/**
+ * The device supports the type of a stream in MediaSource.
+ * @param {!Object} stream as defined in lib/streams/mediaStreams.js.
+ * @return {!Object}
+ */
+Requirement.codec = function(stream) {
+  return {
+    description: 'Support for ' + createMimeTypeStr(
+        stream.mimetype, null, stream.get('width'), stream.get('height'),
+        stream.get('fps'), stream.get('spherical')),
+    check: function() {
+      return isTypeSupported(stream);
+    }
+  };
+};
+
+/**
+ * A key system of the given flavor can be accessed for the stream, see
+ * EMEHandler.checkKeySystem().
+ * @param {string} flavor e.g. LicenseManager.PLAYREADY.
+ * @param {!Object} stream encrypted stream.
+ * @return {!Object}
+ */
+Requirement.keySystem = function(flavor, stream) {
+  return {
+    description: 'Key system ' + flavor + ' for ' + stream.mimetype,
+    check: function() {
+      var licenseManager;
+      try {
+        licenseManager = new LicenseManager(null, stream, flavor);
+      } catch (e) {
+        // No compatible key system.
+        return false;
+      }
+      var emeHandler = new EMEHandler();
+      emeHandler.licenseManager = licenseManager;
+      emeHandler.keySystem = licenseManager.keySystem;
+      return emeHandler.checkKeySystem().then(function() {
+        return true;
+      }, function() {
+        return false;
+      });
+    }
+  };
+};
+
+/**
+ * The Cobalt only h5vcc API is available.
+ * @return {!Object}
+ */
+Requirement.h5vcc = function() {
+  return {
+    description: 'Cobalt h5vcc API',
+    check: function() {
+      return 'h5vcc' in window && !!window.h5vcc;
+    }
+  };
+};
+
+/**
+ * The device supports HDR, see util.supportHdr().
+ * @return {!Object}
+ */
+Requirement.hdr = function() {
+  return {
+    description: 'HDR support',
+    check: function() {
+      return util.supportHdr();
+    }
+  };
+};
+
+window.Requirement = Requirement;
+
+})();
@@ -0,0 +1,249 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Uploads the results of a run to /uploadTest as one batch. Batches wait in a
+// queue persisted in localStorage until the server accepts them, so that
+// results survive a reload or a reboot of the device and are sent once the
+// user is logged in. Failed uploads are retried with backoff.
+(function() {
+
+var QUEUE_STORAGE_KEY = 'yts-upload-queue';
+var RETRY_POLICY = {
+  maxAttempts: 5,
+  initialDelay: 1000,
+  backoffFactor: 2,
+  maxDelay: 30000
+};
+// Statuses after which uploading the batch again can't succeed.
+var REJECTED_STATUSES = [400, 413, 422];
+
+var getStorage = function() {
+  try {
+    return window.localStorage || null;
+  } catch (e) {
+    // Accessing localStorage throws when storage is disabled.
+    return null;
+  }
+};
+
+var loadQueue = function() {
+  var storage = getStorage();
+  try {
+    return (storage && JSON.parse(storage.getItem(QUEUE_STORAGE_KEY))) || [];
+  } catch (e) {
+    // Treat a corrupted queue as empty.
+    return [];
+  }
+};
+
+var saveQueue = function(queue) {
+  var storage = getStorage();
+  if (!storage)
+    return;
+  try {
+    storage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+  } catch (e) {
+    window.LOG('Failed to save upload queue: ' + e);
+  }
+};
+
+/**
+ * Builds the batch of a run: the results of every test that ran, in the
+ * format of /uploadTest, and the run metadata of the results document.
+ * Skipped tests are left out, the server has no outcome for them.
+ * @param {!TestExecutor} runner
+ * @return {!Object}
+ */
+var createBatch = function(runner) {
+  var run = testResults.create(runner);
+  var tests = run.tests;
+  delete run.tests;
+  return {
+    run: run,
+    test_results: tests.filter(function(test) {
+      return test.outcome !== TestOutcome.UNKNOWN &&
+          test.outcome !== TestOutcome.SKIPPED;
+    }).map(function(test) {
+      return {
+        test_case_id: test.id,
+        test_result: {result: test.outcome}
+      };
+    })
+  };
+};
+
+var isSameRun = function(a, b) {
+  return a.testSuite === b.testSuite && a.testType === b.testType &&
+      a.runStartTime === b.runStartTime;
+};
+
+/**
+ * Adds a batch to the upload queue, replacing a queued batch of the same run
+ * so that submitting twice doesn't upload the run twice. Batches without
+ * results aren't queued.
+ * @param {!Object} batch see createBatch().
+ * @param {string} branch e.g. testVersion.
+ */
+var enqueue = function(batch, branch) {
+  if (batch.test_results.length === 0)
+    return;
+  var queue = loadQueue().filter(function(item) {
+    return item.branch !== branch || !isSameRun(item.batch.run, batch.run);
+  });
+  queue.push({
+    id: Date.now() + '-' + queue.length,
+    branch: branch,
+    createdTime: Date.now(),
+    batch: batch
+  });
+  saveQueue(queue);
+};
+
+/**
+ * Returns the number of batches waiting to be uploaded.
+ * @return {number}
+ */
+var getPendingCount = function() {
+  return loadQueue().length;
+};
+
+var getRetryDelay = function(attempts) {
+  return Math.min(RETRY_POLICY.maxDelay, RETRY_POLICY.initialDelay *
+                  Math.pow(RETRY_POLICY.backoffFactor, attempts - 1));
+};
+
+// Posts one batch, retrying network errors and server errors.
+var post = function(item, attempt, cb) {
+  var xhr = new XMLHttpRequest();
+  xhr.open('POST', '/uploadTest?branch=' + item.branch);
+  xhr.setRequestHeader('Content-type', 'application/json');
+  xhr.onreadystatechange = function() {
+    if (this.readyState !== XMLHttpRequest.DONE)
+      return;
+    var status = this.status;
+    if (status === 200) {
+      var accepted = item.batch.test_results.length;
+      try {
+        var response = JSON.parse(this.responseText);
+        if (typeof response.accepted === 'number')
+          accepted = response.accepted;
+      } catch (e) {
+        // The server doesn't have to answer with JSON.
+      }
+      cb({status: status, accepted: accepted});
+    } else if (status === 401 || status === 403 ||
+               REJECTED_STATUSES.indexOf(status) !== -1 ||
+               attempt >= RETRY_POLICY.maxAttempts) {
+      cb({status: status, error: this.responseText || 'status ' + status});
+    } else {
+      var delay = getRetryDelay(attempt);
+      window.LOG('Upload failed with status ' + status + ', attempt ' +
+                 attempt + ' of ' + RETRY_POLICY.maxAttempts +
+                 ', retrying in ' + delay + 'ms');
+      window.setTimeout(post.bind(null, item, attempt + 1, cb), delay);
+    }
+  };
+  xhr.send(JSON.stringify(item.batch));
+};
+
+var flushing = false;
+
+/**
+ * Uploads the queued batches one at a time, oldest first. Accepted and
+ * rejected batches leave the queue, the others stay for the next flush. An
+ * upload that needs a login stops the flush.
+ * @param {function(!Object)} cb called with a summary: accepted results,
+ *     rejected batches with their error, and batches still pending. When a
+ *     flush is already running, nothing is uploaded and inProgress is set:
+ *     the queued batches are left to that flush.
+ */
+var flush = function(cb) {
+  var summary = {accepted: 0, uploaded: 0, rejected: [], pending: 0,
+                 needsLogin: false, inProgress: false};
+  if (flushing) {
+    summary.inProgress = true;
+    summary.pending = getPendingCount();
+    cb(summary);
+    return;
+  }
+  flushing = true;
+  var queue = loadQueue();
+  var done = function() {
+    flushing = false;
+    summary.pending = getPendingCount();
+    cb(summary);
+  };
+  var remove = function(item) {
+    // Batches may have been queued meanwhile, reload before saving.
+    saveQueue(loadQueue().filter(function(queued) {
+      return queued.id !== item.id;
+    }));
+  };
+  var next = function(i) {
+    if (i >= queue.length) {
+      done();
+      return;
+    }
+    var item = queue[i];
+    post(item, 1, function(result) {
+      if (result.status === 200) {
+        summary.accepted += result.accepted;
+        summary.uploaded++;
+        remove(item);
+      } else if (result.status === 401 || result.status === 403) {
+        summary.needsLogin = true;
+        done();
+        return;
+      } else if (REJECTED_STATUSES.indexOf(result.status) !== -1) {
+        summary.rejected.push(result.error);
+        remove(item);
+      }
+      next(i + 1);
+    });
+  };
+  next(0);
+};
+
+/**
+ * Formats a flush summary for the view and the log.
+ * @param {!Object} summary see flush().
+ * @return {string}
+ */
+var describe = function(summary) {
+  if (summary.inProgress)
+    return 'Upload in progress, ' + summary.pending + ' batches pending';
+  var parts = [summary.accepted + ' results accepted'];
+  if (summary.rejected.length > 0)
+    parts.push(summary.rejected.length + ' batches rejected');
+  if (summary.pending > 0) {
+    parts.push(summary.pending + ' batches pending' +
+               (summary.needsLogin ? ', login required' : ''));
+  }
+  return parts.join(', ');
+};
+
+window.resultUploader = {
+  createBatch: createBatch,
+  enqueue: enqueue,
+  flush: flush,
+  getPendingCount: getPendingCount,
+  describe: describe
+};
+
+})();
@@ -0,0 +1,156 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Persists the state of a run in localStorage so that it can be resumed with
+// command=resume after the page was reloaded, e.g. by a manual test navigating
+// away or by the device under test rebooting.
+(function() {
+
+var STATE_VERSION = 1;
+var STORAGE_KEY_PREFIX = 'yts-run-state-';
+// Only the tail of each test log is persisted to stay within storage quota.
+var MAX_PERSISTED_LOG_LINES = 20;
+// Likewise for attachments holding lists, e.g. the request metrics.
+var MAX_PERSISTED_ATTACHMENT_ITEMS = 50;
+
+var getStorage = function() {
+  try {
+    return window.localStorage || null;
+  } catch (e) {
+    // Accessing localStorage throws when storage is disabled.
+    return null;
+  }
+};
+
+var getStorageKey = function(testSuiteVer) {
+  return STORAGE_KEY_PREFIX + testSuiteVer;
+};
+
+var getConfig = function() {
+  var config = {};
+  for (var key in harnessConfig) {
+    var type = typeof harnessConfig[key];
+    if (type === 'string' || type === 'number' || type === 'boolean' ||
+        harnessConfig[key] === null) {
+      config[key] = harnessConfig[key];
+    }
+  }
+  return config;
+};
+
+var getAttachmentsState = function(attachments) {
+  if (!attachments)
+    return null;
+  var state = {};
+  for (var name in attachments) {
+    var value = attachments[name];
+    state[name] = Array.isArray(value) ?
+        value.slice(-MAX_PERSISTED_ATTACHMENT_ITEMS) : value;
+  }
+  return state;
+};
+
+var getTestState = function(desc) {
+  return {
+    id: desc.id,
+    index: desc.index,
+    passes: desc.passes,
+    failures: desc.failures,
+    timeouts: desc.timeouts,
+    outcome: desc.outcome,
+    lastError: desc.lastError || null,
+    startTime: desc.startTime || null,
+    endTime: desc.endTime || null,
+    duration: typeof desc.duration === 'undefined' ? null : desc.duration,
+    timeoutRatio: typeof desc.timeoutRatio === 'undefined' ?
+        null : desc.timeoutRatio,
+    attempts: desc.attempts || null,
+    classification: desc.classification || null,
+    skipReason: desc.skipReason || null,
+    network: desc.network || null,
+    attachments: getAttachmentsState(desc.attachments),
+    logs: desc.logs ? desc.logs.slice(-MAX_PERSISTED_LOG_LINES) : []
+  };
+};
+
+/**
+ * Saves the state of the run.
+ * @param {!TestExecutor} runner
+ * @param {number} runningIdx index of the test in progress, -1 if none.
+ */
+var saveRunState = function(runner, runningIdx) {
+  var storage = getStorage();
+  if (!storage)
+    return;
+  var state = {
+    version: STATE_VERSION,
+    testType: harnessConfig.testType,
+    config: getConfig(),
+    testsMask: runner.testsMask,
+    runStartTime: runner.runStartTime,
+    startIndex: runner.startIndex,
+    numOfTestToRun: runner.numOfTestToRun,
+    testToRun: runner.testToRun,
+    currentTestIdx: runner.currentTestIdx,
+    retryingTest: runner.retryingTest,
+    runningIdx: runningIdx,
+    finishedCount: runner.testView ? runner.testView.testCount : 0,
+    tests: runner.testList.map(function(test) {
+      return getTestState(test.prototype);
+    })
+  };
+  try {
+    storage.setItem(getStorageKey(runner.testSuiteVer), JSON.stringify(state));
+  } catch (e) {
+    runner.log('Failed to save run state: ' + e);
+  }
+};
+
+/**
+ * Returns the saved state of the last unfinished run, or null.
+ * @param {string} testSuiteVer
+ * @return {?Object}
+ */
+var loadRunState = function(testSuiteVer) {
+  var storage = getStorage();
+  if (!storage)
+    return null;
+  try {
+    var state = JSON.parse(storage.getItem(getStorageKey(testSuiteVer)));
+    if (state && state.version === STATE_VERSION)
+      return state;
+  } catch (e) {
+    // Treat corrupted state as no state.
+  }
+  return null;
+};
+
+var clearRunState = function(testSuiteVer) {
+  var storage = getStorage();
+  if (storage)
+    storage.removeItem(getStorageKey(testSuiteVer));
+};
+
+window.runState = {
+  save: saveRunState,
+  load: loadRunState,
+  clear: clearRunState
+};
+
+})();
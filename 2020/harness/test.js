@@ -18,6 +18,12 @@
 'use strict';
 
 var XHR_TIMEOUT_LIMIT = 5000;
+// How long asynchronous test requirements may take before the test is skipped.
+var REQUIREMENT_TIMEOUT_LIMIT = 10000;
+// How often the stall watchdog samples the playback state.
+var STALL_SAMPLE_INTERVAL = 1000;
+// Maximum number of log lines kept in the results of a single test.
+var MAX_TEST_LOG_LINES = 500;
 
 (function() {
 
@@ -33,7 +39,8 @@ var TestOutcome = {
   UNKNOWN: 0,
   PASSED: 1,
   FAILED: 2,
-  OPTIONAL_FAILED: 3
+  OPTIONAL_FAILED: 3,
+  SKIPPED: 4
 };
 
 TestBase.onsourceopen = function() {
@@ -68,41 +75,139 @@ TestBase.log = function() {
   LOG.apply(this, args);
 };
 
-TestBase.dump = function() {
+var getRanges = function(timeRanges) {
+  var ranges = [];
+  for (var i = 0; i < timeRanges.length; ++i)
+    ranges.push([timeRanges.start(i), timeRanges.end(i)]);
+  return ranges;
+};
+
+/**
+ * Returns the playback state of the test as a plain object: the video element
+ * state and the buffered ranges of the video and of every SourceBuffer, null
+ * for a SourceBuffer without valid buffered ranges.
+ * @return {!Object}
+ */
+TestBase.snapshot = function() {
+  var state = {};
   if (this.video) {
-    this.log('video.currentTime =', this.video.currentTime);
-    this.log('video.readyState =', this.video.readyState);
-    this.log('video.networkState =', this.video.networkState);
+    state.currentTime = this.video.currentTime;
+    state.readyState = this.video.readyState;
+    state.networkState = this.video.networkState;
+    state.paused = this.video.paused;
+    state.buffered = this.video.buffered ? getRanges(this.video.buffered) : [];
   }
   if (this.ms) {
-    this.log('ms.sb count =', this.ms.sourceBuffers.length);
+    state.sourceBuffers = [];
     for (var i = 0; i < this.ms.sourceBuffers.length; ++i) {
-      if (this.ms.sourceBuffers[i].buffered) {
-        var buffered = this.ms.sourceBuffers[i].buffered;
-        this.log('sb' + i + '.buffered.length', buffered.length);
-        for (var j = 0; j < buffered.length; ++j) {
-          this.log('  ' + j + ': (' + buffered.start(j) + ', ' +
-                   buffered.end(j) + ')');
+      var buffered = this.ms.sourceBuffers[i].buffered;
+      state.sourceBuffers.push(buffered ? getRanges(buffered) : null);
+    }
+  }
+  return state;
+};
+
+/**
+ * Logs the playback state of the test.
+ * @return {!Object} the state as returned by snapshot().
+ */
+TestBase.dump = function() {
+  var state = this.snapshot();
+  if (this.video) {
+    this.log('video.currentTime =', state.currentTime);
+    this.log('video.readyState =', state.readyState);
+    this.log('video.networkState =', state.networkState);
+  }
+  if (state.sourceBuffers) {
+    this.log('ms.sb count =', state.sourceBuffers.length);
+    for (var i = 0; i < state.sourceBuffers.length; ++i) {
+      var ranges = state.sourceBuffers[i];
+      if (ranges) {
+        this.log('sb' + i + '.buffered.length', ranges.length);
+        for (var j = 0; j < ranges.length; ++j) {
+          this.log('  ' + j + ': (' + ranges[j][0] + ', ' + ranges[j][1] +
+                   ')');
         }
       } else {
         this.log('sb', i, 'invalid buffered range');
       }
     }
   }
+  return state;
 };
 
 TestBase.setStreams = function(streams) {
   this.streams = streams;
+  this.usesMedia(streams);
+  // Optional tests using unsupported codecs or HDR on a device without HDR
+  // support are skipped, mandatory tests run and fail.
+  if (this.mandatory)
+    return;
   streams.forEach(stream => {
-    if (!isTypeSupported(stream)) {
-      // If any stream codecs are unsupported, make the test optional
-      this.mandatory = false;
-    }
+    this.requires(Requirement.codec(stream));
   });
+  if (streams.some(stream => !!stream.get('transferFunction')))
+    this.requires(Requirement.hdr());
+};
+
+// Streams the test downloads, see TestExecutor.prefetchMedia().
+TestBase.media = [];
+
+/**
+ * Declares streams the test downloads, usually called on the prototype. Every
+ * test that downloads media declares it, also streams that are only appended
+ * alongside the one under test, so that the preflight and the prefetch cover
+ * the whole run.
+ * @param {!Array<!Object>} streams as defined in lib/streams/mediaStreams.js.
+ */
+TestBase.usesMedia = function(streams) {
+  this.media = this.media.concat(streams.filter(function(stream) {
+    return !!stream;
+  }));
+};
+
+// Tests that measure the network set this so that their downloads never come
+// from the media cache, see harness/mediaCache.js.
+TestBase.bypassMediaCache = false;
+
+// Prerequisites of the test, see harness/requirements.js.
+TestBase.requirements = [];
+
+/**
+ * Declares a prerequisite of the test, usually called on the prototype.
+ * @param {!Object} requirement e.g. Requirement.codec(stream).
+ */
+TestBase.requires = function(requirement) {
+  // Copy so that requirements aren't shared through the prototype chain.
+  this.requirements = this.requirements.concat([requirement]);
 };
 
 TestBase.timeout = 30000;
+// A playing video that makes no progress for this long fails the test as
+// stalled, 0 disables the stall watchdog. It is off unless enabled for the run
+// with stall_timeout=, or by a suite on the prototypes of its tests: tests may
+// legitimately keep a playing video idle, e.g. while waiting for a license.
+TestBase.stallTimeout = 0;
 
+/**
+ * Classifies a test from its attempts in the current run: 'passed' if the
+ * first attempt passed, 'flaky' if it passed after being retried and 'failed'
+ * if no attempt passed.
+ * @param {!Array<!Object>} attempts
+ * @return {?string}
+ */
+var classifyAttempts = function(attempts) {
+  if (!attempts || attempts.length === 0)
+    return null;
+  if (attempts[attempts.length - 1].outcome !== 'pass')
+    return 'failed';
+  return attempts.length > 1 ? 'flaky' : 'passed';
+};
+
+// start() and, for createMSTest() tests, onsourceopen() may be async: when
+// they return a Promise the test passes once it resolves and fails with the
+// error and its stack if it rejects. See TestExecutor.waitForEvent() and
+// TestExecutor.appendBuffer() for helpers to await.
 window.createTest = function (name, category = '', mandatory = true, id = '',
     suite = '', title = '', passingCriteria = '', instruction = '',
     is_manual = false, href = '', description = '') {
@@ -112,7 +217,11 @@ window.createTest = function (name, category = '', mandatory = true, id = '',
   t.prototype.title = title;
   t.prototype.passingCriteria = passingCriteria;
   t.prototype.instruction = instruction;
+  t.prototype.isManual = is_manual;
+  t.prototype.href = href;
+  t.prototype.description = description;
   t.prototype.id = id;
+  t.prototype.suite = suite;
   t.prototype.desc = name;
   t.prototype.running = false;
   t.prototype.passes = 0;
@@ -129,8 +238,11 @@ window.createMSTest = function (testId, name, category = '', mandatory = true,
     suite = "") {
   var t = createTest(name, category, mandatory, testId, suite);
   t.prototype.start = function(runner, video) {
+    var test = this;
     this.ms = new MediaSource();
-    this.ms.addEventListener('sourceopen', this.onsourceopen.bind(this));
+    this.ms.addEventListener('sourceopen', function() {
+      runner.watchTestPromise(test, test.onsourceopen.apply(test, arguments));
+    });
     if (this.ms.isWrapper)
       this.ms.attachTo(video);
     else
@@ -145,10 +257,37 @@ var TestExecutor = function(testSuite, testsMask, testSuiteVer) {
   this.currentTestIdx = 0;
   // Prevents succeeds, errors, and other results from asynchronously executing.
   this.blockTestResult = false;
-  this.XHRManager = createXHRManager(createLogger(this.log.bind(this)));
+  this.networkEmulator = createNetworkEmulator(harnessConfig);
+  if (this.networkEmulator) {
+    var conditions = this.networkEmulator.conditions;
+    this.log('Emulating network ' + conditions.name + ': ' +
+             conditions.throughput + ' kbit/s, ' + conditions.latency +
+             ' ms latency, ' + conditions.failureRate + ' failure rate');
+  }
+  this.mediaCache =
+      createMediaCache(harnessConfig, createLogger(this.log.bind(this)));
+  // Report of the last media preflight, see preflightMedia().
+  this.mediaPreflight = null;
+  this.XHRManager = this.newXHRManager();
   this.timeouts = createTimeoutManager(createLogger(this.log.bind(this)));
   this.lastResult = 'pass';
+  // Set when the test at currentTestIdx has to run again, see retries=N.
+  this.retryingTest = false;
+  // Whether a run started by startTest() hasn't finished yet, and whether
+  // stop() ends it.
+  this.runActive = false;
+  this.stopRequested = false;
+  // Tests selected by select(), null for all.
+  this.selection = null;
+  // Capability snapshot of the device, see collectDeviceInfo().
+  this.deviceInfo = null;
+  this.deviceInfoPromise_ = null;
   this.testSuiteVer = testSuiteVer;
+  if (testSelector.hasSelectors(harnessConfig)) {
+    testsMask = testSelector.createTestsMask(testSuite.tests, testsMask,
+                                             harnessConfig);
+  }
+  this.testsMask = testsMask;
 
   if (testsMask) {
     this.testList = [];
@@ -160,11 +299,153 @@ var TestExecutor = function(testSuite, testsMask, testSuiteVer) {
   } else {
     this.testList = testSuite.tests;
   }
+  // The shard is applied after the mask, which is what gets persisted, so
+  // that a resumed run computes the same slice again.
+  this.shard = null;
+  if (harnessConfig.shard) {
+    this.shard = testSelector.parseShard(harnessConfig.shard);
+    this.testList = testSelector.selectShard(this.testList, this.shard.index,
+                                             this.shard.count);
+    this.log('Running shard ' + this.shard.index + '/' + this.shard.count +
+             ' with ' + this.testList.length + ' tests');
+  }
   this.fields = testSuite.fields;
   this.info = testSuite.info;
   this.viewType = testSuite.viewType;
 };
 
+/**
+ * Creates the XHRManager used by the tests, requests that still fail after
+ * its retries fail the current test.
+ * @return {!XHRManager}
+ */
+TestExecutor.prototype.newXHRManager = function() {
+  return createXHRManager(createLogger(this.log.bind(this)), {
+    onfailure: this.onRequestFailed.bind(this),
+    emulator: this.networkEmulator,
+    transport: harnessConfig.transport,
+    cache: this.mediaCache
+  });
+};
+
+/**
+ * Returns whether the test at index of the list is selected, in the view and
+ * by select().
+ * @param {number} index
+ * @return {boolean}
+ */
+TestExecutor.prototype.isSelected = function(index) {
+  return (!this.testView || this.testView.getTest(index).selected()) &&
+      (!this.selection || this.selection[index]);
+};
+
+/**
+ * Restricts the tests run by startTest() to the ones matching the selectors,
+ * see harness/testSelector.js, e.g. {ids: '1.3.*'}. No selector selects every
+ * test again.
+ * @param {!Object} selectors
+ * @return {!Array<!Function>} the selected tests.
+ */
+TestExecutor.prototype.select = function(selectors) {
+  if (!testSelector.hasSelectors(selectors)) {
+    this.selection = null;
+  } else {
+    var filter = testSelector.createFilter(selectors);
+    this.selection = this.testList.map(function(test) {
+      return filter(test.prototype);
+    });
+  }
+  return this.getSelectedTests();
+};
+
+/**
+ * Returns the tests of the list that are selected.
+ * @return {!Array<!Function>}
+ */
+TestExecutor.prototype.getSelectedTests = function() {
+  return this.testList.filter(function(test, i) {
+    return this.isSelected(i);
+  }, this);
+};
+
+/**
+ * Checks that the media server hosts the streams of the selected tests as
+ * they are defined, see harness/mediaPreflight.js. The report is logged and
+ * included in the results.
+ * @param {function(number, number, string)=} opt_onprogress see
+ *     mediaPreflight.checkStreams().
+ * @return {!Promise<!Object>} the report.
+ */
+TestExecutor.prototype.preflightMedia = function(opt_onprogress) {
+  var streams = mediaPreflight.collectStreams(this.getSelectedTests());
+  this.log('Checking ' + streams.length + ' media files');
+  var self = this;
+  return mediaPreflight.checkStreams(
+      streams, mediaPreflight.createHttpProbe(), opt_onprogress).then(
+      function(report) {
+    self.mediaPreflight = report;
+    mediaPreflight.formatReport(report).forEach(function(line) {
+      self.log(line);
+    });
+    return report;
+  });
+};
+
+/**
+ * Collects the capability snapshot of the device once per page load, see
+ * harness/deviceInfo.js. The snapshot is included in the results.
+ * @return {!Promise<!Object>} the snapshot.
+ */
+TestExecutor.prototype.collectDeviceInfo = function() {
+  if (!this.deviceInfoPromise_) {
+    var self = this;
+    this.deviceInfoPromise_ = deviceInfo.collect().then(function(snapshot) {
+      self.deviceInfo = snapshot;
+      return snapshot;
+    }, function(e) {
+      self.log('Failed to collect device info: ' + e);
+      self.deviceInfoPromise_ = null;
+      throw e;
+    });
+  }
+  return this.deviceInfoPromise_;
+};
+
+/**
+ * Downloads the media of the selected tests into the media cache.
+ * @param {function(number, number, string)=} opt_onprogress see
+ *     MediaCache.prefetch().
+ * @return {!Promise<!Object>} the prefetch summary.
+ */
+TestExecutor.prototype.prefetchMedia = function(opt_onprogress) {
+  if (!this.mediaCache)
+    return Promise.reject('Media cache is disabled, enable media_cache');
+  var tests = this.getSelectedTests().filter(function(test) {
+    return !test.prototype.bypassMediaCache;
+  });
+  var files = mediaPreflight.collectStreams(tests).map(function(stream) {
+    return {url: stream.src, size: stream.size};
+  });
+  this.log('Prefetching ' + files.length + ' media files');
+  var self = this;
+  return this.mediaCache.prefetch(files, opt_onprogress).then(
+      function(summary) {
+    self.log('Prefetched media: ' + summary.cached + ' cached, ' +
+             summary.skipped + ' skipped, ' + summary.failed + ' failed');
+    return summary;
+  });
+};
+
+TestExecutor.prototype.onRequestFailed = function(request, message) {
+  if (!this.currentTest || this.blockTestResults)
+    return;
+  try {
+    this.fail(message);
+  } catch (e) {
+    // fail() rethrows the error message once the test is torn down.
+  }
+};
+
 TestExecutor.prototype.log = function() {
   var args = Array.prototype.slice.call(arguments, 0);
   args.splice(0, 0, 'TestExecutor: ');
@@ -300,7 +581,7 @@ TestExecutor.prototype.onfinished = function() {
              this.longestTimeRatio + ' of its timeout.');
   }
 
-  var keepRunning = (!harnessConfig.stoponfailure ||
+  var keepRunning = !this.stopRequested && (!harnessConfig.stoponfailure ||
       this.lastResult === 'pass') && harnessConfig.loop &&
       (this.testView.anySelected() || this.numOfTestToRun === 1);
   if (keepRunning) {
@@ -308,12 +589,18 @@ TestExecutor.prototype.onfinished = function() {
     this.currentTestIdx = this.startIndex;
     this.startNextTest();
   } else {
+    this.runActive = false;
     this.lastResult = 'pass';
     this.getNewVideoTag();
+    runState.clear(this.testSuiteVer);
     this.log('All tests are completed');
     for (var i = 0; i < window.globalRunner.testList.length; i++) {
       var test =  window.globalRunner.testList[i];
-      if (test.prototype.failures > 0) {
+      if (test.prototype.classification === 'flaky') {
+        this.log((test.prototype.index + 1) + ':' + test.prototype.name +
+           ': Flaky, passed after ' + test.prototype.attempts.length +
+           ' attempts');
+      } else if (test.prototype.failures > 0) {
         this.log((test.prototype.index + 1) + ':' + test.prototype.name +
            ': Failed with "' + test.prototype.lastError.message + '"');
       }
@@ -341,37 +628,154 @@ TestExecutor.prototype.sendTestReport = function(results) {
 };
 
 TestExecutor.prototype.startTest = function(startIndex, numOfTestToRun) {
-  if (!this.currentTest) {
+  // A run waiting for the device info has no current test yet.
+  if (!this.currentTest && !this.runActive) {
+    this.runActive = true;
+    this.stopRequested = false;
     this.startIndex = startIndex;
     this.numOfTestToRun = numOfTestToRun;
     this.testToRun = numOfTestToRun;
     this.currentTestIdx = startIndex;
-    this.startNextTest();
     this.runStartTime = Date.now();
+    this.startAfterDeviceInfo();
   }
 };
 
+/**
+ * Starts the next test once the device info is collected, so that it is in
+ * the results of every test. A run whose device info can't be collected goes
+ * ahead without it.
+ */
+TestExecutor.prototype.startAfterDeviceInfo = function() {
+  var self = this;
+  this.collectDeviceInfo().catch(function() {}).then(function() {
+    self.startNextTest();
+  });
+};
+
 TestExecutor.prototype.startNextTest = function() {
-  if (this.numOfTestToRun != 1) {
+  var isRetry = this.retryingTest;
+  this.retryingTest = false;
+
+  if (this.numOfTestToRun != 1 && !isRetry) {
     while (this.testToRun > 0 &&
-           !this.testView.getTest(this.currentTestIdx).selected()) {
+           !this.isSelected(this.currentTestIdx)) {
       this.testToRun--;
       this.currentTestIdx++;
     }
   }
 
-  if (this.testToRun <= 0 || (harnessConfig.stoponfailure &&
-      this.lastResult != 'pass')) {
+  if (!isRetry && (this.testToRun <= 0 || (harnessConfig.stoponfailure &&
+      this.lastResult != 'pass'))) {
     this.onfinished();
     return;
   }
 
   this.currentTest = new this.testList[this.currentTestIdx];
+  this.testList[this.currentTestIdx].prototype.logs = [];
+  this.testList[this.currentTestIdx].prototype.attachments = {};
+  if (!isRetry) {
+    this.testList[this.currentTestIdx].prototype.attempts = [];
+    this.testList[this.currentTestIdx].prototype.classification = null;
+  }
   this.blockTestResults = false;
 
+  var test = this.currentTest;
+  this.checkRequirements(test, function(unmet) {
+    if (this.currentTest !== test)
+      return;
+    if (unmet)
+      this.skip('Missing prerequisite: ' + unmet.description);
+    else
+      this.runCurrentTest(isRetry);
+  }.bind(this));
+};
+
+/**
+ * Evaluates the requirements of a test and calls back with the first one that
+ * isn't met, or null. The callback is called synchronously unless a
+ * requirement is asynchronous.
+ * @param {!Object} test
+ * @param {function(?Object)} cb
+ */
+TestExecutor.prototype.checkRequirements = function(test, cb) {
+  var requirements = test.requirements || [];
+  var results = requirements.map(function(requirement) {
+    try {
+      return requirement.check();
+    } catch (e) {
+      return false;
+    }
+  });
+  var firstUnmet = function(values) {
+    for (var i = 0; i < values.length; ++i) {
+      if (!values[i])
+        return requirements[i];
+    }
+    return null;
+  };
+
+  var isAsync = results.some(function(result) {
+    return result && typeof result.then === 'function';
+  });
+  if (!isAsync) {
+    cb(firstUnmet(results));
+    return;
+  }
+
+  var timedOut = false;
+  var timer = window.setTimeout(function() {
+    timedOut = true;
+    cb({description: 'requirements timed out'});
+  }, REQUIREMENT_TIMEOUT_LIMIT);
+  Promise.all(results.map(function(result) {
+    return Promise.resolve(result).catch(function() {
+      return false;
+    });
+  })).then(function(values) {
+    if (timedOut)
+      return;
+    window.clearTimeout(timer);
+    cb(firstUnmet(values));
+  });
+};
+
+/**
+ * Reports the current test as skipped, without running it, and moves on to
+ * the next test.
+ * @param {string} reason
+ */
+TestExecutor.prototype.skip = function(reason) {
+  var desc = this.testList[this.currentTestIdx].prototype;
+  desc.outcome = TestOutcome.SKIPPED;
+  desc.skipReason = reason;
+  desc.startTime = Date.now();
+  desc.endTime = desc.startTime;
+  desc.duration = 0;
+  desc.timeoutRatio = 0;
+  this.updateStatus();
+  this.log('Test ' + (this.currentTest.index + 1) + ':' +
+           this.currentTest.desc + ' SKIPPED: ' + reason);
+
+  this.currentTest = null;
+  this.testView.finishedOneTest();
+  this.testToRun--;
+  this.currentTestIdx++;
+  runState.save(this, -1);
+  window.setTimeout(this.startNextTest.bind(this), 1);
+};
+
+/**
+ * Starts the current test once its requirements are met.
+ * @param {boolean} isRetry
+ */
+TestExecutor.prototype.runCurrentTest = function(isRetry) {
+  this.testList[this.currentTestIdx].prototype.skipReason = null;
   this.log('Test ' + (this.currentTest.index + 1) + ':' +
            this.currentTest.desc + ' STARTED with timeout ' +
-           this.currentTest.timeout);
+           this.currentTest.timeout +
+           (isRetry ? ' (attempt ' + (this.currentTest.attempts.length + 1) +
+                      ')' : ''));
   this.timeouts.setTimeout(this.timeout.bind(this), this.currentTest.timeout);
 
   this.testList[this.currentTestIdx].prototype.running = true;
@@ -379,6 +783,7 @@ TestExecutor.prototype.startNextTest = function() {
   this.updateStatus();
 
   this.startTime = Date.now();
+  this.testList[this.currentTestIdx].prototype.startTime = this.startTime;
   this.currentTest.runner = this;
   this.currentTest.video = this.getNewVideoTag();
 
@@ -396,13 +801,163 @@ TestExecutor.prototype.startNextTest = function() {
     }
   };
 
-  if (this.currentTest.streams) {
-    this.currentTest.streams.forEach(stream => {
-      this.failIfTypeUnsupported(stream);
-    });
+  // Optional tests with an unsupported stream were skipped, mandatory ones
+  // fail right away.
+  if (this.currentTest.mandatory && this.currentTest.streams &&
+      this.currentTest.streams.some(this.failIfTypeUnsupported, this)) {
+    return;
   }
 
-  this.currentTest.start(this, this.currentTest.video);
+  this.XHRManager.cache =
+      this.currentTest.bypassMediaCache ? null : this.mediaCache;
+  this.startStallWatchdog();
+  runState.save(this, this.currentTestIdx);
+  this.watchTestPromise(this.currentTest,
+      this.currentTest.start(this, this.currentTest.video));
+};
+
+/**
+ * Fails the current test when its video is playing but neither currentTime,
+ * readyState, the buffered ranges nor the XHR transfers made progress for
+ * stallTimeout milliseconds. A paused or ended video is never stalled.
+ */
+TestExecutor.prototype.startStallWatchdog = function() {
+  var test = this.currentTest;
+  var stallTimeout = test.stallTimeout;
+  if (!stallTimeout || stallTimeout <= 0)
+    return;
+
+  var self = this;
+  var lastProgress = null;
+  var lastProgressTime = Date.now();
+  this.timeouts.setInterval(function() {
+    if (self.currentTest !== test || self.blockTestResults || !test.video)
+      return;
+    var state;
+    try {
+      state = test.snapshot();
+    } catch (e) {
+      return;
+    }
+    var progress = JSON.stringify([state.currentTime, state.readyState,
+        state.buffered, state.sourceBuffers, self.XHRManager.getLastUpdate()]);
+    var now = Date.now();
+    if (state.paused || test.video.ended || progress !== lastProgress) {
+      lastProgress = progress;
+      lastProgressTime = now;
+      return;
+    }
+    if (now - lastProgressTime < stallTimeout)
+      return;
+
+    try {
+      self.fail('Playback stalled at t=' + state.currentTime +
+                ' (readyState ' + state.readyState + '), no progress for ' +
+                (now - lastProgressTime) + 'ms');
+    } catch (e) {
+      // fail() rethrows the error message once the test is torn down.
+    }
+  }, STALL_SAMPLE_INTERVAL);
+};
+
+/**
+ * Reports the result of an async test function: the test passes when the
+ * returned Promise resolves and fails when it rejects. Results of a test that
+ * already finished are ignored. Other return values are ignored as well so
+ * that callback based tests are unaffected.
+ * @param {!Object} test the test instance the function belongs to.
+ * @param {*} result return value of start() or onsourceopen().
+ */
+TestExecutor.prototype.watchTestPromise = function(test, result) {
+  if (!result || typeof result.then !== 'function')
+    return;
+  var self = this;
+  var isPending = function() {
+    return self.currentTest === test && !self.blockTestResults;
+  };
+  result.then(function() {
+    if (isPending())
+      self.succeed();
+  }, function(err) {
+    if (!isPending())
+      return;
+    var msg = err && err.message ? err.message : String(err);
+    try {
+      self.fail(msg, err && err.stack ? err.stack : '');
+    } catch (e) {
+      // fail() rethrows the error message once the test is torn down.
+    }
+  });
+};
+
+/**
+ * Returns a Promise that resolves with the next event of the given type fired
+ * by the target, e.g. await runner.waitForEvent(video, 'canplay'). It rejects
+ * if the target fires 'error' first or after opt_timeout milliseconds.
+ * @param {!EventTarget} target
+ * @param {string} type
+ * @param {number=} opt_timeout
+ * @return {!Promise<!Event>}
+ */
+TestExecutor.prototype.waitForEvent = function(target, type, opt_timeout) {
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    var onEvent = function(e) {
+      cleanup();
+      resolve(e);
+    };
+    var onError = function(e) {
+      cleanup();
+      reject(new Error('Error event while waiting for ' + type));
+    };
+    var cleanup = function() {
+      target.removeEventListener(type, onEvent);
+      if (type !== 'error')
+        target.removeEventListener('error', onError);
+    };
+    target.addEventListener(type, onEvent);
+    if (type !== 'error')
+      target.addEventListener('error', onError);
+    if (opt_timeout) {
+      self.timeouts.setTimeout(function() {
+        cleanup();
+        reject(new Error('Timed out waiting for ' + type + ' after ' +
+                         opt_timeout + 'ms'));
+      }, opt_timeout);
+    }
+  });
+};
+
+/**
+ * Appends data to a SourceBuffer and returns a Promise that resolves on
+ * 'updateend', e.g. await runner.appendBuffer(sb, xhr.getResponseData()).
+ * @param {!SourceBuffer} sb
+ * @param {!ArrayBuffer|!ArrayBufferView} data
+ * @return {!Promise}
+ */
+TestExecutor.prototype.appendBuffer = function(sb, data) {
+  return new Promise(function(resolve, reject) {
+    var onUpdateEnd = function() {
+      cleanup();
+      resolve();
+    };
+    var onError = function() {
+      cleanup();
+      reject(new Error('SourceBuffer error while appending'));
+    };
+    var cleanup = function() {
+      sb.removeEventListener('updateend', onUpdateEnd);
+      sb.removeEventListener('error', onError);
+    };
+    sb.addEventListener('updateend', onUpdateEnd);
+    sb.addEventListener('error', onError);
+    try {
+      sb.appendBuffer(data);
+    } catch (e) {
+      cleanup();
+      reject(e);
+    }
+  });
 };
 
 TestExecutor.prototype.succeed = function() {
@@ -419,28 +974,29 @@ TestExecutor.prototype.succeed = function() {
   this.teardownCurrentTest(false);
 };
 
-TestExecutor.prototype.error = function(msg, isTimeout) {
+TestExecutor.prototype.error = function(msg, isTimeout, opt_callStack) {
   if (this.blockTestResults) {
     return;
   }
   this.blockTestResults = true;
   this.lastResult = isTimeout ? 'timeout' : 'failure';
   var test = this.currentTest;
+  var state = null;
 
   try {
-    test.dump();
+    state = test.dump();
   } catch (e) {
   }
 
   this.log('Test ' + this.testList[this.currentTestIdx].prototype.id + ':' +
       this.testList[this.currentTestIdx].prototype.name +
       ' threw an error: ' + msg);
-  var stack = '';
+  var stack = opt_callStack || '';
 
   try {
     var x = y.z.u.v.w;
   } catch (e) {
-    if (e && e.stack)
+    if (e && e.stack && !stack)
     {
       stack = e.stack;
     }
@@ -448,13 +1004,14 @@ TestExecutor.prototype.error = function(msg, isTimeout) {
 
   this.testList[this.currentTestIdx].prototype.lastError = {
     message: msg,
-    callStack: stack
+    callStack: stack,
+    state: state
   };
 
   this.teardownCurrentTest(isTimeout, msg);
 };
 
-TestExecutor.prototype.fail = function(msg) {
+TestExecutor.prototype.fail = function(msg, opt_callStack) {
   ++this.testList[this.currentTestIdx].prototype.failures;
   if (this.testList[this.currentTestIdx].prototype.mandatory) {
     this.testList[this.currentTestIdx].prototype.outcome = TestOutcome.FAILED;
@@ -465,21 +1022,27 @@ TestExecutor.prototype.fail = function(msg) {
   this.updateStatus();
   this.log('Test ' + (this.currentTest.index + 1) + ':' +
       this.currentTest.desc + ' FAILED');
-  this.error(msg, false);
+  this.error(msg, false, opt_callStack);
 };
 
+/**
+ * Fails the current test when the device doesn't support the stream.
+ * @param {!Object} stream
+ * @return {boolean} whether the test failed.
+ */
 TestExecutor.prototype.failIfTypeUnsupported = function(stream) {
-  if (!isTypeSupported(stream)) {
-    var mimeType = createMimeTypeStr(
-      stream.mimetype,
-      null,
-      stream.get("width"),
-      stream.get("height"),
-      stream.get("fps"),
-      stream.get("spherical"));
-    this.fail(`Stream type unsupported: ${mimeType}`);
-  }
-}
+  if (isTypeSupported(stream))
+    return false;
+  var mimeType = createMimeTypeStr(
+    stream.mimetype,
+    null,
+    stream.get("width"),
+    stream.get("height"),
+    stream.get("fps"),
+    stream.get("spherical"));
+  this.fail(`Stream type unsupported: ${mimeType}`);
+  return true;
+};
 
 TestExecutor.prototype.timeout = function() {
   var isTestTimedOut = false;
@@ -524,9 +1087,23 @@ TestExecutor.prototype.timeout = function() {
 };
 
 TestExecutor.prototype.teardownCurrentTest = function(isTimeout, errorMsg) {
+  var endTime = Date.now();
+  var time = endTime - this.startTime;
+  var ratio = time / this.currentTest.timeout;
+  var desc = this.testList[this.currentTestIdx].prototype;
+  desc.endTime = endTime;
+  desc.duration = time;
+  desc.timeoutRatio = ratio;
+  desc.attempts.push({
+    outcome: errorMsg ? (isTimeout ? 'timeout' : 'failure') : 'pass',
+    startTime: this.startTime,
+    duration: time,
+    error: errorMsg ? String(errorMsg) : null
+  });
+  desc.classification = classifyAttempts(desc.attempts);
+  var retry = !!errorMsg && desc.attempts.length <= harnessConfig.retries;
+
   if (!isTimeout) {
-    var time = Date.now() - this.startTime;
-    var ratio = time / this.currentTest.timeout;
     if (ratio >= this.longestTimeRatio) {
       this.longestTimeRatio = ratio;
       this.longestTest = this.currentTest.desc;
@@ -540,13 +1117,24 @@ TestExecutor.prototype.teardownCurrentTest = function(isTimeout, errorMsg) {
 
   this.timeouts.clearAll();
   this.XHRManager.abortAll();
-  this.XHRManager = createXHRManager(createLogger(this.log.bind(this)));
-  this.testView.finishedOneTest();
+  desc.network = this.XHRManager.getStats();
+  this.attach('requests', this.XHRManager.getRequestMetrics());
+  this.XHRManager = this.newXHRManager();
+  if (!retry)
+    this.testView.finishedOneTest();
   var self = this;
   this.currentTest.teardown(this.testSuiteVer, function() {
     self.currentTest = null;
-    self.testToRun--;
-    self.currentTestIdx++;
+    if (retry) {
+      self.retryingTest = true;
+      self.log('Retrying test ' + (desc.index + 1) + ':' + desc.name +
+               ', ' + desc.attempts.length + ' of ' +
+               (harnessConfig.retries + 1) + ' attempts failed');
+    } else {
+      self.testToRun--;
+      self.currentTestIdx++;
+    }
+    runState.save(self, -1);
     window.setTimeout(self.startNextTest.bind(self), 1);
     if (!!errorMsg) {
       throw errorMsg;
@@ -554,8 +1142,155 @@ TestExecutor.prototype.teardownCurrentTest = function(isTimeout, errorMsg) {
   });
 };
 
+/**
+ * Stops the run: the test in progress is torn down without a result and no
+ * other test starts.
+ */
+TestExecutor.prototype.stop = function() {
+  if (!this.runActive)
+    return;
+  this.stopRequested = true;
+  this.testToRun = 0;
+  this.retryingTest = false;
+  this.log('Run stopped');
+  if (!this.currentTest)
+    return;  // The next startNextTest() finishes the run.
+
+  var test = this.currentTest;
+  var desc = this.testList[this.currentTestIdx].prototype;
+  this.blockTestResults = true;
+  desc.running = false;
+  this.updateStatus();
+  this.log('Test ' + (desc.index + 1) + ':' + desc.name + ' STOPPED');
+  this.timeouts.clearAll();
+  this.XHRManager.abortAll();
+  this.XHRManager = this.newXHRManager();
+  var self = this;
+  test.teardown(this.testSuiteVer, function() {
+    self.currentTest = null;
+    runState.save(self, -1);
+    window.setTimeout(self.startNextTest.bind(self), 1);
+  });
+};
+
+/**
+ * Restores the state of an interrupted run saved by runState.save() and
+ * continues with the next unfinished test. A test that was in progress when
+ * the page went away is counted as timed out, except for manual tests which
+ * leave the page by design.
+ * @param {!Object} state
+ * @return {boolean} false if the state doesn't belong to this test list.
+ */
+TestExecutor.prototype.resume = function(state) {
+  if (state.tests.length !== this.testList.length)
+    return false;
+  for (var i = 0; i < this.testList.length; ++i) {
+    if (this.testList[i].prototype.id !== state.tests[i].id)
+      return false;
+  }
+
+  var restoredFields = ['passes', 'failures', 'timeouts', 'outcome',
+      'lastError', 'startTime', 'endTime', 'duration', 'timeoutRatio', 'logs',
+      'attempts', 'classification', 'skipReason', 'network', 'attachments'];
+  for (var i = 0; i < this.testList.length; ++i) {
+    var desc = this.testList[i].prototype;
+    restoredFields.forEach(function(field) {
+      if (state.tests[i][field] !== null)
+        desc[field] = state.tests[i][field];
+    });
+    this.testView.getTest(i).updateStatus();
+  }
+
+  this.runStartTime = state.runStartTime;
+  this.startIndex = state.startIndex;
+  this.numOfTestToRun = state.numOfTestToRun;
+  this.testToRun = state.testToRun;
+  this.currentTestIdx = state.currentTestIdx;
+  this.retryingTest = !!state.retryingTest;
+  this.testView.setFinishedCount(state.finishedCount);
+
+  if (state.runningIdx >= 0) {
+    var interrupted = this.testList[state.runningIdx].prototype;
+    if (!interrupted.isManual) {
+      ++interrupted.timeouts;
+      interrupted.outcome = interrupted.mandatory ?
+          TestOutcome.FAILED : TestOutcome.OPTIONAL_FAILED;
+      interrupted.lastError = {
+        message: 'Interrupted by a page reload',
+        callStack: ''
+      };
+      interrupted.attempts = (interrupted.attempts || []).concat([{
+        outcome: 'timeout',
+        startTime: interrupted.startTime || null,
+        duration: null,
+        error: interrupted.lastError.message
+      }]);
+      interrupted.classification = classifyAttempts(interrupted.attempts);
+      this.lastResult = 'timeout';
+      this.log('Test ' + interrupted.id + ':' + interrupted.name +
+               ' was interrupted by a page reload.');
+    }
+    this.testView.getTest(state.runningIdx).updateStatus();
+    this.testView.finishedOneTest();
+    this.testToRun--;
+    this.currentTestIdx++;
+  }
+
+  this.log('Resuming run at test ' + (this.currentTestIdx + 1));
+  this.runActive = true;
+  this.startAfterDeviceInfo();
+  return true;
+};
+
+/**
+ * Attaches a named value to the result of the current test, e.g. metrics
+ * collected while it ran. Values must be serializable to JSON and replace
+ * previous values of the same name.
+ * @param {string} name
+ * @param {*} value
+ */
+TestExecutor.prototype.attach = function(name, value) {
+  if (!this.currentTest)
+    return;
+  var desc = this.testList[this.currentTestIdx].prototype;
+  if (!desc.hasOwnProperty('attachments'))
+    desc.attachments = {};
+  desc.attachments[name] = value;
+};
+
+/**
+ * Records a log line against the currently running test so it ends up in the
+ * results document.
+ * @param {string} text
+ */
+TestExecutor.prototype.recordLog = function(text) {
+  if (!this.currentTest)
+    return;
+  var logs = this.testList[this.currentTestIdx].prototype.logs;
+  logs.push(text);
+  if (logs.length > MAX_TEST_LOG_LINES)
+    logs.shift();
+};
+
+/**
+ * Returns the full results document of the run, see harness/testResults.js.
+ * @return {!Object}
+ */
+TestExecutor.prototype.getResults = function() {
+  return testResults.create(this);
+};
+
+/**
+ * Returns the results of the run as a JUnit XML report.
+ * @return {string}
+ */
+TestExecutor.prototype.getJUnitReport = function() {
+  return junitReport.create(this.getResults());
+};
+
 window.TestBase = TestBase;
 window.TestExecutor = TestExecutor;
+window.TestOutcome = TestOutcome;
 
 window.getTestResults = function(testStartId, testEndId) {
   testStartId = testStartId || 0;
@@ -581,12 +1316,15 @@ window.getTestResults = function(testStartId, testEndId) {
       var test = window.globalRunner.testList[i];
       var category = test.prototype.category;
       var name = test.prototype.name;
-      if (test.prototype.failures > 0) {
+      // A test that passed on retry counts as passed, as its last attempt.
+      var outcome = test.prototype.outcome;
+      if (outcome === TestOutcome.FAILED ||
+          outcome === TestOutcome.OPTIONAL_FAILED) {
         if (!failResults[category]) {
           failResults[category] = [];
         }
         failResults[category].push(name);
-      } else if (test.prototype.passes > 0) {
+      } else if (outcome === TestOutcome.PASSED) {
         if (!passResults[category]) {
           passResults[category] = [];
         }
@@ -0,0 +1,199 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+(function() {
+
+// Bump this whenever the shape of the results document changes.
+// 2: added device, networkConditions, configErrors, mediaPreflight,
+//    perfProfile and shards, and per test classification, attempts,
+//    skipReason, network and attachments.
+var RESULTS_FORMAT_VERSION = 2;
+var HARNESS_VERSION = '20200212151848';
+
+var outcomeName = function(outcome) {
+  for (var name in TestOutcome) {
+    if (TestOutcome[name] === outcome)
+      return name;
+  }
+  return 'UNKNOWN';
+};
+
+/**
+ * Serializes the state held on a test prototype into a plain object.
+ * @param {!Object} desc test prototype as stored in TestExecutor.testList.
+ * @return {!Object}
+ */
+var createTestResult = function(desc) {
+  return {
+    index: desc.index,
+    id: desc.id,
+    name: desc.name,
+    suite: desc.suite,
+    category: desc.category,
+    mandatory: desc.mandatory,
+    outcome: desc.outcome,
+    outcomeName: outcomeName(desc.outcome),
+    passes: desc.passes,
+    failures: desc.failures,
+    timeouts: desc.timeouts,
+    timeout: desc.timeout,
+    startTime: desc.startTime || null,
+    endTime: desc.endTime || null,
+    // Both can be 0 for a test that finished within the same millisecond.
+    duration: typeof desc.duration === 'undefined' ? null : desc.duration,
+    timeoutRatio: typeof desc.timeoutRatio === 'undefined' ?
+        null : desc.timeoutRatio,
+    // 'passed', 'failed' or 'flaky', null if the test didn't run.
+    classification: desc.classification || null,
+    attempts: desc.attempts ? desc.attempts.slice() : [],
+    skipReason: desc.skipReason || null,
+    // XHR requests, retries and failed attempts of the last attempt of the
+    // test, see XHRManager.getStats().
+    network: desc.network || null,
+    // Named values attached by TestExecutor.attach(), e.g. 'requests'.
+    attachments: desc.attachments || {},
+    error: desc.lastError ? {
+      message: String(desc.lastError.message),
+      callStack: desc.lastError.callStack,
+      // Playback state when the test failed, see TestBase.snapshot().
+      state: desc.lastError.state || null
+    } : null,
+    logs: desc.logs ? desc.logs.slice() : []
+  };
+};
+
+/**
+ * Builds the results document of a run from the state of a TestExecutor.
+ * @param {!TestExecutor} runner
+ * @return {!Object}
+ */
+var createTestResults = function(runner) {
+  var tests = [];
+  for (var i = 0; i < runner.testList.length; ++i) {
+    tests.push(createTestResult(runner.testList[i].prototype));
+  }
+  return {
+    formatVersion: RESULTS_FORMAT_VERSION,
+    harnessVersion: HARNESS_VERSION,
+    testSuite: harnessConfig.testSuite,
+    testType: harnessConfig.testType,
+    userAgent: navigator.userAgent,
+    // Capabilities of the device, see harness/deviceInfo.js.
+    device: runner.deviceInfo || null,
+    retries: harnessConfig.retries || 0,
+    shard: runner.shard ?
+        {index: runner.shard.index, count: runner.shard.count} : null,
+    networkConditions: runner.networkEmulator ?
+        runner.networkEmulator.conditions : null,
+    // Invalid parameters the run ignored.
+    configErrors: harnessConfig.configErrors || [],
+    mediaPreflight: runner.mediaPreflight || null,
+    // Performance profile of the run, see harness/perfProfile.js.
+    perfProfile: harnessConfig.perfProfile || null,
+    runStartTime: runner.runStartTime || null,
+    createdTime: Date.now(),
+    tests: tests
+  };
+};
+
+/**
+ * Merges the results documents of the shards of a run (see shard=i/n) into a
+ * single document with the tests in their original order. When a test shows
+ * up in several documents the last one wins. The network conditions,
+ * configuration errors, media preflight and performance profile each shard
+ * ran with are kept in shards, the top level ones are those of the first
+ * shard.
+ * @param {!Array<!Object>} results
+ * @return {!Object}
+ */
+var mergeTestResults = function(results) {
+  if (results.length === 0)
+    throw 'No results to merge';
+  var first = results[0];
+  var testsByIndex = {};
+  var shards = [];
+  var runStartTime = null;
+  results.forEach(function(result) {
+    if (result.formatVersion !== first.formatVersion ||
+        result.testSuite !== first.testSuite ||
+        result.testType !== first.testType) {
+      throw 'Cannot merge results of ' + result.testSuite + ' ' +
+          result.testType + ' into ' + first.testSuite + ' ' + first.testType;
+    }
+    result.tests.forEach(function(test) {
+      testsByIndex[test.index] = test;
+    });
+    shards.push({
+      shard: result.shard || null,
+      userAgent: result.userAgent,
+      device: result.device || null,
+      networkConditions: result.networkConditions || null,
+      configErrors: result.configErrors || [],
+      mediaPreflight: result.mediaPreflight || null,
+      perfProfile: result.perfProfile || null,
+      runStartTime: result.runStartTime,
+      createdTime: result.createdTime,
+      tests: result.tests.length
+    });
+    if (result.runStartTime &&
+        (!runStartTime || result.runStartTime < runStartTime)) {
+      runStartTime = result.runStartTime;
+    }
+  });
+
+  var tests = Object.keys(testsByIndex).map(function(index) {
+    return testsByIndex[index];
+  }).sort(function(a, b) {
+    return a.index - b.index;
+  });
+
+  return {
+    formatVersion: first.formatVersion,
+    harnessVersion: first.harnessVersion,
+    testSuite: first.testSuite,
+    testType: first.testType,
+    userAgent: first.userAgent,
+    device: first.device || null,
+    retries: first.retries,
+    networkConditions: first.networkConditions || null,
+    configErrors: first.configErrors || [],
+    mediaPreflight: first.mediaPreflight || null,
+    perfProfile: first.perfProfile || null,
+    shard: null,
+    shards: shards,
+    runStartTime: runStartTime,
+    createdTime: Date.now(),
+    tests: tests
+  };
+};
+
+window.testResults = {
+  create: createTestResults,
+  merge: mergeTestResults,
+  outcomeName: outcomeName
+};
+
+})();
+
+try {
+  exports.testResults = window.testResults;
+} catch (e) {
+  // do nothing, this function is not supposed to work for browser, but it's for
+  // Node js to generate json file instead.
+}
@@ -0,0 +1,252 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Selects tests by attributes that stay stable across releases, as opposed to
+// their position in the suite:
+//   ids=1.3.*,1.5.2.1   dotted test ids, '*' and '?' are wildcards.
+//   category=MSE Formats,EME   exact category names, case insensitive.
+//   name=^Video.*   regular expression matched against the test name.
+//   mandatory=true|false
+// Selectors of different kinds are ANDed, values of one selector are ORed.
+//
+// shard=i/n further splits the selected tests into n balanced slices and keeps
+// the i-th one (1-based), so that n devices can share a long run.
+(function() {
+
+var SELECTOR_KEYS = ['ids', 'category', 'name', 'mandatory'];
+
+var splitList = function(value) {
+  return String(value).split(',').map(function(item) {
+    return item.trim();
+  }).filter(function(item) {
+    return item.length > 0;
+  });
+};
+
+// Dotted test ids, with '*' and '?' as wildcards.
+var ID_PATTERN = /^[\d*?]+(\.[\d*?]+)*$/;
+
+var globToRegExp = function(glob) {
+  var source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+  return new RegExp('^' + source + '$');
+};
+
+/**
+ * Returns whether any selector is set in the config.
+ * @param {!Object} config usually harnessConfig.
+ * @return {boolean}
+ */
+var hasSelectors = function(config) {
+  return SELECTOR_KEYS.some(function(key) {
+    return config[key] !== null && typeof config[key] !== 'undefined' &&
+        config[key] !== '';
+  });
+};
+
+/**
+ * Checks the selectors and the shard of the config. Invalid ones are dropped
+ * so that the harness still starts, without them.
+ * @param {!Object} config usually harnessConfig.
+ * @return {!Array<string>} the configuration errors.
+ */
+var checkConfig = function(config) {
+  var errors = [];
+  if (config.ids) {
+    var invalidIds = splitList(config.ids).filter(function(id) {
+      return !ID_PATTERN.test(id);
+    });
+    if (invalidIds.length > 0) {
+      errors.push('Invalid ids selector ' + invalidIds.join(',') +
+                  ', expected dotted test ids like 1.3.*');
+      config.ids = '';
+    }
+  }
+  if (config.name) {
+    try {
+      new RegExp(config.name);
+    } catch (e) {
+      errors.push('Invalid name selector ' + config.name + ': ' + e.message);
+      config.name = '';
+    }
+  }
+  if (config.mandatory !== null && typeof config.mandatory !== 'undefined' &&
+      config.mandatory !== '' &&
+      ['true', 'false'].indexOf(String(config.mandatory)) < 0) {
+    errors.push('Invalid mandatory selector ' + config.mandatory +
+                ', expected true or false');
+    config.mandatory = '';
+  }
+  if (config.shard) {
+    try {
+      parseShard(config.shard);
+    } catch (e) {
+      errors.push(e);
+      config.shard = '';
+    }
+  }
+  return errors;
+};
+
+/**
+ * Builds a predicate over test prototypes from the selectors in the config,
+ * see checkConfig().
+ * @param {!Object} config usually harnessConfig.
+ * @return {function(!Object): boolean}
+ */
+var createFilter = function(config) {
+  var predicates = [];
+
+  if (config.ids) {
+    var idPatterns = splitList(config.ids).map(globToRegExp);
+    predicates.push(function(desc) {
+      return idPatterns.some(function(pattern) {
+        return pattern.test(String(desc.id));
+      });
+    });
+  }
+
+  if (config.category) {
+    var categories = splitList(config.category).map(function(category) {
+      return category.toLowerCase();
+    });
+    predicates.push(function(desc) {
+      return categories.indexOf(String(desc.category).toLowerCase()) >= 0;
+    });
+  }
+
+  if (config.name) {
+    var nameRegExp;
+    try {
+      nameRegExp = new RegExp(config.name);
+    } catch (e) {
+      throw 'Invalid name selector ' + config.name + ': ' + e.message;
+    }
+    predicates.push(function(desc) {
+      return nameRegExp.test(desc.name);
+    });
+  }
+
+  if (config.mandatory !== null && typeof config.mandatory !== 'undefined' &&
+      config.mandatory !== '') {
+    var mandatory = String(config.mandatory) === 'true';
+    predicates.push(function(desc) {
+      return desc.mandatory === mandatory;
+    });
+  }
+
+  return function(desc) {
+    return predicates.every(function(predicate) {
+      return predicate(desc);
+    });
+  };
+};
+
+/**
+ * Narrows a positional tests mask ('1' to run, '0' to skip, the last character
+ * repeats) down to the tests matching the selectors in the config.
+ * @param {!Array<!Function>} tests test constructors of the suite.
+ * @param {string} testsMask positional mask, empty to start from all tests.
+ * @param {!Object} config usually harnessConfig.
+ * @return {string} a mask with one character per test.
+ */
+var createTestsMask = function(tests, testsMask, config) {
+  testsMask = testsMask || '1';
+  var filter = createFilter(config);
+  var mask = '';
+  for (var i = 0; i < tests.length; ++i) {
+    var positional =
+        i < testsMask.length ? testsMask[i] : testsMask.substr(-1);
+    mask += positional === '1' && filter(tests[i].prototype) ? '1' : '0';
+  }
+  return mask;
+};
+
+/**
+ * Parses a shard=i/n parameter.
+ * @param {string} value e.g. '2/4'.
+ * @return {{index: number, count: number}} index is 1-based.
+ */
+var parseShard = function(value) {
+  var match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+  var shard = match ?
+      {index: parseInt(match[1], 10), count: parseInt(match[2], 10)} : null;
+  if (!shard || shard.count < 1 || shard.index < 1 ||
+      shard.index > shard.count) {
+    throw 'Invalid shard ' + value + ', expected i/n with 1 <= i <= n';
+  }
+  return shard;
+};
+
+/**
+ * Partitions tests into `count` slices with a similar sum of timeouts and
+ * returns the slice at `index`. The longest tests are assigned first, each to
+ * the least loaded slice, ties going to the lowest slice. The result only
+ * depends on the test list so every device computes the same partition. Tests
+ * keep their original order within a slice.
+ * @param {!Array<!Function>} tests test constructors.
+ * @param {number} index 1-based.
+ * @param {number} count
+ * @return {!Array<!Function>}
+ */
+var selectShard = function(tests, index, count) {
+  var order = tests.map(function(test, position) {
+    return position;
+  });
+  order.sort(function(a, b) {
+    return (tests[b].prototype.timeout - tests[a].prototype.timeout) || a - b;
+  });
+
+  var loads = [];
+  for (var i = 0; i < count; ++i)
+    loads.push(0);
+  var assignment = [];
+  order.forEach(function(position) {
+    var lightest = 0;
+    for (var i = 1; i < count; ++i) {
+      if (loads[i] < loads[lightest])
+        lightest = i;
+    }
+    loads[lightest] += tests[position].prototype.timeout;
+    assignment[position] = lightest;
+  });
+
+  return tests.filter(function(test, position) {
+    return assignment[position] === index - 1;
+  });
+};
+
+window.testSelector = {
+  checkConfig: checkConfig,
+  hasSelectors: hasSelectors,
+  createFilter: createFilter,
+  createTestsMask: createTestsMask,
+  parseShard: parseShard,
+  selectShard: selectShard
+};
+
+})();
+
+try {
+  exports.testSelector = window.testSelector;
+} catch (e) {
+  // do nothing, this function is not supposed to work for browser, but it's for
+  // Node js to generate json file instead.
+}
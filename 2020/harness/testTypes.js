@@ -75,6 +75,16 @@
       title: 'Tests for performance of HFR video playback and decoding',
       heading: 'Widevine HFR Tests'
     },
+    'playbackperf-startup-test': {
+      name: 'Startup Latency Tests',
+      title: 'Tests for the time video playback takes to start',
+      heading: 'Startup Latency Tests'
+    },
+    'playbackperf-seek-test': {
+      name: 'Seek Latency Tests',
+      title: 'Tests for the time video seeks take',
+      heading: 'Seek Latency Tests'
+    },
     'sphericalOnCobalt-test': {
       name: 'Cobalt Spherical Tests',
       title: 'Spherical video performance tests on Cobalt',
@@ -139,6 +149,8 @@
         'playbackperf-widevine-sfr-vp9-test',
         'playbackperf-widevine-sfr-h264-test',
         'playbackperf-widevine-hfr-test',
+        'playbackperf-startup-test',
+        'playbackperf-seek-test',
         // Begin non GitHub files
         'functional-test',
         'css-test',
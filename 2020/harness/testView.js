@@ -119,6 +119,7 @@ function TestView(testSuiteVer) {
     div.appendChild(createElement('div', 'testsuites', 'container'));
     div.appendChild(createElement('div', 'controls', 'container'));
     div.appendChild(createElement('div', 'switches', 'container'));
+    div.appendChild(createElement('div', 'deviceinfo', 'container'));
 
     var testContainer = createElement('div', null, 'container');
     testContainer.appendChild(createElement('div', 'testlist'));
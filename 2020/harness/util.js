@@ -100,35 +100,13 @@ util.login = function(onSuccess) {
   xhr.send();
 };
 
-// Uploads current test results to API
+// Uploads current test results to API as one batch, along with the batches
+// of earlier runs still waiting in the upload queue. callBack is called with
+// the upload summary once the server answered, see harness/resultUploader.js.
 util.uploadTestResult = function(callBack) {
-  for (var test of window.globalRunner.testList) {
-    if (test && test.prototype.outcome!=0){
-      var xhr = new XMLHttpRequest();
-      xhr.open("POST", "/uploadTest?branch=" + testVersion);
-      xhr.setRequestHeader("Content-type",
-        "application/json");
-      var params = JSON.stringify({
-        test_results: [
-          {
-            test_case_id: test.prototype.id,
-            test_result: {
-              result: test.prototype.outcome
-            }
-          }
-        ]
-      });
-      xhr.onreadystatechange = function() {
-        if (this.readyState === XMLHttpRequest.DONE) {
-          if (this.status != 200) {
-            window.LOG(this, ["upload error:", this.responseText]);
-          }
-        }
-      };
-      xhr.send(params);
-    }
-  }
-  callBack();
+  resultUploader.enqueue(resultUploader.createBatch(window.globalRunner),
+                         testVersion);
+  resultUploader.flush(callBack);
 };
 
 //End non GitHub files
@@ -145,6 +123,21 @@ util.createElement = function(tag, id, class_, innerHTML) {
   return element;
 };
 
+// Offers the given text to the user as a file download.
+util.downloadFile = function(filename, text, mimeType) {
+  var blob = new Blob([text], {type: mimeType || 'text/plain'});
+  var url = window.URL.createObjectURL(blob);
+  var anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = filename;
+  document.body.appendChild(anchor);
+  anchor.click();
+  document.body.removeChild(anchor);
+  window.setTimeout(function() {
+    window.URL.revokeObjectURL(url);
+  }, 0);
+};
+
 util.getClosestElement = function(refElement) {
   if (arguments.length === 1)
     return null;
@@ -21,16 +21,308 @@
 
 var BYPASS_CACHE = false;
 
-// Hook the onload event for request that is finished successfully
+// Default retry policy of an XHRManager. Failed attempts are retried after
+// initialDelay ms, doubled on each retry up to maxDelay ms.
+var DEFAULT_RETRY_POLICY = {
+  maxAttempts: 4,
+  initialDelay: 500,
+  backoffFactor: 2,
+  maxDelay: 8000,
+  // HTTP statuses worth retrying, network errors and timeouts always are.
+  retryableStatuses: [408, 429, 500, 502, 503, 504]
+};
+// Maximum number of failed attempts kept in the network stats of a test.
+var MAX_RECORDED_ATTEMPTS = 50;
+// Maximum number of requests whose metrics are kept for a test.
+var MAX_REQUEST_METRICS = 1000;
+
+/**
+ * The subset of XMLHttpRequest used by Request, implemented with fetch() so
+ * that the response body can be read as a stream. Every chunk of a successful
+ * response is handed to onchunk as soon as it arrives; the whole response is
+ * still available once 'load' fires. abort() cancels through an
+ * AbortController.
+ * @param {function(!Uint8Array)} onchunk
+ */
+var FetchTransport = function(onchunk) {
+  this.listeners_ = {};
+  this.headers_ = {};
+  this.onchunk_ = onchunk;
+  this.controller_ = null;
+  this.aborted_ = false;
+  this.readyState = 0;
+  this.status = 0;
+  this.response = null;
+  this.responseType = 'arraybuffer';
+};
+
+FetchTransport.isSupported = function() {
+  return typeof window.fetch === 'function' &&
+      typeof window.AbortController === 'function' &&
+      typeof window.ReadableStream === 'function';
+};
+
+FetchTransport.prototype.open = function(method, url) {
+  this.method_ = method;
+  this.url_ = url;
+  this.readyState = 1;
+};
+
+FetchTransport.prototype.setRequestHeader = function(name, value) {
+  this.headers_[name] = value;
+};
+
+FetchTransport.prototype.addEventListener = function(type, listener) {
+  (this.listeners_[type] = this.listeners_[type] || []).push(listener);
+};
+
+FetchTransport.prototype.removeEventListener = function(type, listener) {
+  var listeners = this.listeners_[type] || [];
+  if (listeners.indexOf(listener) !== -1)
+    listeners.splice(listeners.indexOf(listener), 1);
+};
+
+FetchTransport.prototype.dispatch_ = function(type, e) {
+  e = e || {};
+  e.type = type;
+  e.target = this;
+  (this.listeners_[type] || []).slice().forEach(function(listener) {
+    listener.call(this, e);
+  }, this);
+};
+
+FetchTransport.prototype.setReadyState_ = function(readyState) {
+  if (this.readyState < readyState) {
+    this.readyState = readyState;
+    this.dispatch_('readystatechange');
+  }
+};
+
+FetchTransport.prototype.send = function(body) {
+  var self = this;
+  var chunks = [];
+  var loaded = 0;
+  this.controller_ = new AbortController();
+  window.fetch(this.url_, {
+    method: this.method_,
+    headers: this.headers_,
+    body: body,
+    signal: this.controller_.signal
+  }).then(function(response) {
+    self.status = response.status;
+    self.setReadyState_(2);
+    if (!response.body) {
+      return response.arrayBuffer().then(function(buffer) {
+        chunks.push(new Uint8Array(buffer));
+        loaded = buffer.byteLength;
+      });
+    }
+    var reader = response.body.getReader();
+    var pump = function() {
+      return reader.read().then(function(result) {
+        if (result.done)
+          return;
+        self.setReadyState_(3);
+        chunks.push(result.value);
+        loaded += result.value.length;
+        self.dispatch_('progress', {lengthComputable: false, loaded: loaded});
+        if (response.ok)
+          self.onchunk_(result.value);
+        return pump();
+      });
+    };
+    return pump();
+  }).then(function() {
+    var response = new Uint8Array(loaded);
+    var offset = 0;
+    chunks.forEach(function(chunk) {
+      response.set(chunk, offset);
+      offset += chunk.length;
+    });
+    self.response = response.buffer;
+    self.setReadyState_(4);
+    self.dispatch_('load');
+  }).catch(function(err) {
+    // Like XMLHttpRequest, an aborted request doesn't fire 'error'.
+    if (self.aborted_)
+      return;
+    self.readyState = 4;
+    self.dispatch_('error', {error: err});
+  });
+};
+
+FetchTransport.prototype.abort = function() {
+  this.aborted_ = true;
+  if (this.controller_)
+    this.controller_.abort();
+};
+
+/**
+ * Wraps a transport so that GET responses are served from a MediaCache when
+ * possible, see harness/mediaCache.js. On a miss the wrapped transport does
+ * the request and its successful response gets cached. A hit answers like the
+ * server would, with status 206 for a range, and isn't slowed down by the
+ * network emulator.
+ * @param {!Object} inner XMLHttpRequest or FetchTransport.
+ * @param {!MediaCache} cache
+ * @param {string} file cache key of the response, with the range.
+ * @param {?number|undefined} start
+ * @param {?number|undefined} length
+ */
+var CachedTransport = function(inner, cache, file, start, length) {
+  var self = this;
+  this.inner_ = inner;
+  this.cache_ = cache;
+  this.listeners_ = {};
+  this.aborted_ = false;
+  this.fromCache = false;
+  this.cachedResponse_ = null;
+  this.isRange_ = start != null && length != null;
+
+  inner.addEventListener('load', function() {
+    if (!self.aborted_ && inner.status >= 200 && inner.status < 300 &&
+        inner.response) {
+      cache.put(file, start, length, inner.response).catch(function() {
+        // Caching is best effort, e.g. the storage quota may be exceeded.
+      });
+    }
+  });
+
+  this.send = function(body) {
+    cache.match(file, start, length).catch(function() {
+      return null;
+    }).then(function(buffer) {
+      if (self.aborted_)
+        return;
+      if (!buffer) {
+        inner.send(body);
+        return;
+      }
+      self.fromCache = true;
+      self.cachedResponse_ = buffer;
+      self.dispatch_('readystatechange');
+      self.dispatch_('progress', {lengthComputable: true,
+                                  loaded: buffer.byteLength,
+                                  total: buffer.byteLength});
+      self.dispatch_('load');
+    });
+  };
+};
+
+Object.defineProperties(CachedTransport.prototype, {
+  readyState: {get: function() {
+    return this.fromCache ? 4 : this.inner_.readyState;
+  }},
+  status: {get: function() {
+    if (!this.fromCache)
+      return this.inner_.status;
+    return this.isRange_ ? 206 : 200;
+  }},
+  response: {get: function() {
+    return this.fromCache ? this.cachedResponse_ : this.inner_.response;
+  }},
+  responseType: {
+    get: function() {
+      return this.inner_.responseType;
+    },
+    set: function(responseType) {
+      this.inner_.responseType = responseType;
+    }
+  }
+});
+
+CachedTransport.prototype.open = function(method, url) {
+  this.inner_.open(method, url);
+};
+
+CachedTransport.prototype.setRequestHeader = function(name, value) {
+  this.inner_.setRequestHeader(name, value);
+};
+
+CachedTransport.prototype.addEventListener = function(type, listener) {
+  (this.listeners_[type] = this.listeners_[type] || []).push(listener);
+  this.inner_.addEventListener(type, listener);
+};
+
+CachedTransport.prototype.removeEventListener = function(type, listener) {
+  var listeners = this.listeners_[type] || [];
+  if (listeners.indexOf(listener) !== -1)
+    listeners.splice(listeners.indexOf(listener), 1);
+  this.inner_.removeEventListener(type, listener);
+};
+
+CachedTransport.prototype.dispatch_ =
+    FetchTransport.prototype.dispatch_;
+
+CachedTransport.prototype.abort = function() {
+  this.aborted_ = true;
+  this.inner_.abort();
+};
+
+// Hook the onload event for request that is finished successfully. With
+// opt_onchunk, the response is also handed out in chunks before onload: as
+// they arrive with the fetch transport, at once with XMLHttpRequest.
 var Request = function(manager, logger, file, onload, postLength,
-                       start, length) {
+                       start, length, opt_onchunk) {
   var self = this;
+  this.file = file;
+  this.rangeStart = start;
+  this.rangeLength = length;
+  this.attempts = 0;
+  this.onchunk = opt_onchunk || null;
+  this.transport = manager.transport;
+  // Whether the current attempt handed chunks out already.
+  var chunksDelivered = false;
+
+  var deliverChunk = function(chunk) {
+    if (self.onchunk && chunk.length > 0) {
+      chunksDelivered = true;
+      self.onchunk(chunk);
+    }
+  };
+
+  // Called when an attempt failed, either retries the request or gives up.
+  var onAttemptFailed = function(reason, status) {
+    manager.requestFinished(self);
+    // Retrying after chunks were handed out would repeat them.
+    var retryable = !chunksDelivered && (status === null ||
+        manager.retryPolicy.retryableStatuses.indexOf(status) !== -1);
+    var willRetry =
+        retryable && self.attempts < manager.retryPolicy.maxAttempts;
+    manager.recordFailedAttempt(self, reason, status, willRetry);
+    if (willRetry) {
+      var delay = manager.getRetryDelay(self.attempts);
+      logger.log('XHR ' + reason + ' for ' + file + ', attempt ' +
+                 self.attempts + ' of ' + manager.retryPolicy.maxAttempts +
+                 ', retrying in ' + delay + 'ms');
+      manager.scheduleRetry(self, delay, function() {
+        self.open();
+        self.send(self.postData);
+      });
+    } else {
+      manager.requestFailed(self, 'XHR ' + reason + ' for ' + file +
+                            ' after ' + self.attempts + ' attempt(s)');
+    }
+  };
 
   this.open = function() {
-    this.xhr = new XMLHttpRequest();
+    chunksDelivered = false;
+    if (this.transport === 'fetch') {
+      this.xhr = new FetchTransport(function(chunk) {
+        // With network emulation chunks are handed out as they would arrive
+        // through the emulated link instead.
+        if (!manager.emulator)
+          deliverChunk(chunk);
+      });
+    } else {
+      this.xhr = new XMLHttpRequest();
+    }
 
     this.onload = onload;
     this.type = util.isValidArgument(postLength) ? 'POST' : 'GET';
+    if (manager.cache && this.type === 'GET')
+      this.xhr = new CachedTransport(this.xhr, manager.cache, file, start,
+                                     length);
 
     this.xhr.open(this.type,
                   file + (BYPASS_CACHE ? '?' + (new Date()).getTime() : ''));
@@ -38,31 +330,71 @@ var Request = function(manager, logger, file, onload, postLength,
 
     this.startTime = new Date().getTime();
     this.lastUpdate = this.startTime;
+    this.firstByteTime = null;
+    var emulatedFirstByte = false;
 
     if (start != null && length != null)
       this.xhr.setRequestHeader(
           'Range', 'bytes=' + start + '-' + (start + length - 1));
 
     this.xhr.addEventListener('error', function(e) {
-      if (self.xhr.status === 404)
-        alert('Failed to find "' + file +
-              '" with error 404. Is it on the server?');
-      manager.requestFinished(self);
-      logger.log('XHR error with code', self.xhr.status);
-      self.open();
-      self.send();
+      onAttemptFailed('error', null);
     });
 
     this.xhr.addEventListener('timeout', function(e) {
-      manager.requestFinished(self);
-      logger.log('XHR timeout');
-      self.open();
-      self.send();
+      onAttemptFailed('timeout', null);
     });
 
-    this.xhr.addEventListener('load', function(e) {
+    var onLoad = function(e) {
+      var status = self.xhr.status;
+      if ((status < 200 || status >= 300) && manager.onfailure) {
+        onAttemptFailed('status ' + status, status);
+        return;
+      }
+      if (!chunksDelivered && self.xhr.response)
+        deliverChunk(new Uint8Array(self.xhr.response));
       manager.requestFinished(self);
       return self.onload(e);
+    };
+
+    this.xhr.addEventListener('readystatechange', function() {
+      if (self.xhr.readyState >= 3 && self.firstByteTime === null)
+        self.firstByteTime = new Date().getTime();
+    });
+
+    this.xhr.addEventListener('load', function(e) {
+      var emulator = manager.emulator;
+      // Responses from the media cache never cross the emulated network.
+      if (!emulator || self.xhr.fromCache)
+        return onLoad(e);
+      var bytes = self.xhr.response ? self.xhr.response.byteLength : 0;
+      // A failing attempt breaks off after part of the response arrived.
+      var fails = emulator.shouldFail();
+      var delivered = 0;
+      self.cancelDelivery = emulator.deliver(
+          self.startTime, fails ? emulator.getFailureOffset(bytes) : bytes,
+          function(arrived) {
+            if (arrived <= delivered)
+              return;
+            self.lastUpdate = new Date().getTime();
+            // The test sees the first byte when the first chunk arrives.
+            if (!emulatedFirstByte) {
+              emulatedFirstByte = true;
+              self.firstByteTime = self.lastUpdate;
+            }
+            var status = self.xhr.status;
+            if (status >= 200 && status < 300) {
+              deliverChunk(new Uint8Array(self.xhr.response, delivered,
+                                          arrived - delivered));
+            }
+            delivered = arrived;
+          }, function() {
+            self.cancelDelivery = null;
+            if (fails)
+              onAttemptFailed('emulated error', null);
+            else
+              onLoad(e);
+          });
     });
 
     this.xhr.addEventListener('progress', function onProgress(e) {
@@ -74,20 +406,14 @@ var Request = function(manager, logger, file, onload, postLength,
   };
 
   this.getRawResponse = function() {
-    if (this.xhr.status === 404)
-      alert('Failed to find "' + file +
-            '" with error 404. Is it on the server?');
     logger.assert(this.xhr.status >= 200 && this.xhr.status < 300,
-                  'XHR bad status: ' + this.xhr.status);
+                  'XHR bad status: ' + this.xhr.status + ' for ' + file);
     return this.xhr.response;
   };
 
   this.getResponseData = function() {
-    if (this.xhr.status === 404)
-      alert('Failed to find "' + file +
-            '" with error 404. Is it on the server?');
     logger.assert(this.xhr.status >= 200 && this.xhr.status < 300,
-                  'XHR bad status: ' + this.xhr.status);
+                  'XHR bad status: ' + this.xhr.status + ' for ' + file);
     var result = new Uint8Array(this.xhr.response);
     if (length != null) {
       logger.checkEq(result.length, length, 'XHR length', true);
@@ -96,6 +422,8 @@ var Request = function(manager, logger, file, onload, postLength,
   };
 
   this.send = function(postData) {
+    this.postData = postData;
+    this.attempts++;
     manager.addRequest(this);
     if (postData) {
       logger.checkEq(this.type, 'POST', 'XHR requestType', true);
@@ -107,36 +435,172 @@ var Request = function(manager, logger, file, onload, postLength,
   };
 
   this.abort = function() {
+    if (this.cancelDelivery) {
+      this.cancelDelivery();
+      this.cancelDelivery = null;
+    }
     this.xhr.abort();
   };
 
   this.open();
 };
 
-var XHRManager = function(logger) {
+/**
+ * @param {!Object} logger
+ * @param {?Object=} opt_options
+ *     retryPolicy: overrides of DEFAULT_RETRY_POLICY.
+ *     onfailure: called with (request, message) once a request failed for
+ *         good. Without it, responses with a bad status are handed to onload
+ *         as is and failed requests are dropped after the last attempt.
+ *     emulator: NetworkEmulator the responses are delivered through, see
+ *         harness/networkEmulator.js.
+ *     transport: 'xhr' (default) or 'fetch' to download with fetch() and
+ *         stream responses, falls back to 'xhr' where fetch streams aren't
+ *         supported.
+ *     cache: MediaCache serving GET requests, see harness/mediaCache.js.
+ */
+var XHRManager = function(logger, opt_options) {
+  var options = opt_options || {};
   var requests = [];
+  // Requests waiting for their next attempt.
+  var retries = [];
+  var failedAttempts = [];
+  var requestMetrics = [];
   this.totalRequestDuration = 0;
+  this.retryPolicy =
+      Object.assign({}, DEFAULT_RETRY_POLICY, options.retryPolicy || {});
+  this.onfailure = options.onfailure || null;
+  this.emulator = options.emulator || null;
+  this.cache = options.cache || null;
+  this.transport = 'xhr';
+  if (options.transport === 'fetch') {
+    if (FetchTransport.isSupported())
+      this.transport = 'fetch';
+    else
+      logger.log('fetch streams are not supported, using XMLHttpRequest');
+  }
+  this.stats = {
+    requests: 0,
+    retries: 0,
+    failedAttempts: 0,
+    failedRequests: 0
+  };
 
   this.addRequest = function(request) {
     logger.checkEq(requests.indexOf(request), -1, 'request index', true);
     requests.push(request);
+    if (request.attempts === 1)
+      this.stats.requests++;
+  };
+
+  var recordRequestMetrics = function(request, endTime) {
+    if (requestMetrics.length >= MAX_REQUEST_METRICS)
+      return;
+    var status = request.xhr.status;
+    var response = request.xhr.response;
+    var bytes = status >= 200 && status < 300 && response ?
+        response.byteLength : 0;
+    var duration = endTime - request.startTime;
+    requestMetrics.push({
+      url: request.file,
+      method: request.type,
+      transport: request.transport,
+      range: request.rangeStart != null && request.rangeLength != null ?
+          [request.rangeStart, request.rangeStart + request.rangeLength - 1] :
+          null,
+      attempt: request.attempts,
+      cached: !!request.xhr.fromCache,
+      status: status,
+      bytes: bytes,
+      startTime: request.startTime,
+      timeToFirstByte: request.firstByteTime !== null ?
+          request.firstByteTime - request.startTime : null,
+      duration: duration,
+      // kbit/s, as bytes * 8 / ms.
+      throughput: duration > 0 ? Math.round(bytes * 8 / duration) : null
+    });
   };
 
   this.requestFinished = function(request) {
     var currentTime = new Date().getTime();
     this.totalRequestDuration += currentTime - request.startTime;
+    recordRequestMetrics(request, currentTime);
     logger.checkNE(requests.indexOf(request), -1, 'request index', true);
     requests.splice(requests.indexOf(request), 1);
   };
 
+  this.recordFailedAttempt = function(request, reason, status, willRetry) {
+    this.stats.failedAttempts++;
+    if (willRetry)
+      this.stats.retries++;
+    if (failedAttempts.length < MAX_RECORDED_ATTEMPTS) {
+      failedAttempts.push({
+        file: request.file,
+        attempt: request.attempts,
+        reason: reason,
+        status: status,
+        time: new Date().getTime(),
+        duration: new Date().getTime() - request.startTime,
+        retried: willRetry
+      });
+    }
+  };
+
+  this.requestFailed = function(request, message) {
+    this.stats.failedRequests++;
+    logger.log(message);
+    if (this.onfailure)
+      this.onfailure(request, message);
+  };
+
+  this.getRetryDelay = function(attempts) {
+    var policy = this.retryPolicy;
+    return Math.min(policy.maxDelay, policy.initialDelay *
+                    Math.pow(policy.backoffFactor, attempts - 1));
+  };
+
+  this.scheduleRetry = function(request, delay, retry) {
+    var pending = {request: request};
+    request.lastUpdate = new Date().getTime();
+    pending.uid = window.setTimeout(function() {
+      retries.splice(retries.indexOf(pending), 1);
+      retry();
+    }, delay);
+    retries.push(pending);
+  };
+
+  /**
+   * Returns the network stats of the requests made through this manager,
+   * including the failed attempts.
+   * @return {!Object}
+   */
+  this.getStats = function() {
+    return Object.assign({}, this.stats,
+                         {failedAttemptList: failedAttempts.slice()});
+  };
+
+  /**
+   * Returns the metrics of every finished attempt of the requests made
+   * through this manager: url, method, range, attempt, status, bytes,
+   * startTime, timeToFirstByte, duration (ms) and throughput (kbit/s).
+   * @return {!Array<!Object>}
+   */
+  this.getRequestMetrics = function() {
+    return requestMetrics.slice();
+  };
+
   this.abortAll = function() {
     for (var i = 0; i < requests.length; ++i)
       requests[i].abort();
     requests = [];
+    for (var i = 0; i < retries.length; ++i)
+      window.clearTimeout(retries[i].uid);
+    retries = [];
   };
 
-  this.createRequest = function(file, onload, start, length) {
-    return new Request(this, logger, file, onload, null, start, length);
+  this.createRequest = function(file, onload, start, length, opt_onchunk) {
+    return new Request(this, logger, file, onload, null, start, length,
+                       opt_onchunk);
   };
 
   this.createPostRequest = function(file, onload, postLength, start, length) {
@@ -144,14 +608,14 @@ var XHRManager = function(logger) {
   };
 
   this.hasActiveRequests = function() {
-    if (requests.length > 0) {
+    if (requests.length > 0 || retries.length > 0) {
       return true;
     }
     return false;
   }
 
   this.getLastUpdate = function() {
-    if (requests.length == 0) {
+    if (requests.length == 0 && retries.length == 0) {
       return null;
     }
 
@@ -159,12 +623,15 @@ var XHRManager = function(logger) {
     for (var i in requests) {
       latestUpdate = Math.max(requests[i].lastUpdate, latestUpdate);
     }
+    for (var i in retries) {
+      latestUpdate = Math.max(retries[i].request.lastUpdate, latestUpdate);
+    }
     return latestUpdate;
   };
 };
 
-window.createXHRManager = function(logger) {
-  return new XHRManager(logger);
+window.createXHRManager = function(logger, opt_options) {
+  return new XHRManager(logger, opt_options);
 };
 
 })();
@@ -55,3 +55,352 @@ VideoPerformanceMetrics.prototype.getTotalDecodedVideoFrames = function() {
   }
   return NaN;
 };
+
+VideoPerformanceMetrics.prototype.getCorruptedVideoFrames = function() {
+  if (this.supports_('getVideoPlaybackQuality')) {
+    var quality = this.video.getVideoPlaybackQuality();
+    if (quality.corruptedVideoFrames !== undefined) {
+      return quality.corruptedVideoFrames;
+    }
+  }
+  return NaN;
+};
+
+/**
+ * Samples the playback of a video at a fixed interval into a time series, so
+ * that a result shows when frames were dropped and not only how many.
+ *
+ * Every sample holds the frames decoded, dropped and corrupted since the
+ * previous sample, the current resolution, the buffer ahead of currentTime and
+ * the drift of currentTime against the wall clock. The drift is measured from
+ * the last 'playing', 'seeked' or 'ratechange' event, scaled by playbackRate,
+ * and grows negative while playback stalls. 'waiting' and 'stalled' events are
+ * recorded with the time they happened.
+ * @param {!HTMLMediaElement} video
+ * @param {number=} opt_interval sampling interval in ms, 1000 by default.
+ */
+var PlaybackMetricsCollector = function(video, opt_interval) {
+  this.video = video;
+  this.interval = opt_interval || PlaybackMetricsCollector.DEFAULT_INTERVAL;
+  this.metrics_ = new VideoPerformanceMetrics(video);
+  this.series = null;
+  this.last_ = null;
+  this.anchor_ = null;
+  this.intervalId_ = null;
+  this.stopped_ = false;
+  this.listeners_ = {};
+};
+
+PlaybackMetricsCollector.DEFAULT_INTERVAL = 1000;
+// Oldest samples are dropped beyond this, an hour at the default interval.
+PlaybackMetricsCollector.MAX_SAMPLES = 3600;
+
+/**
+ * Starts sampling.
+ * @param {!Object=} opt_timeouts timer to sample with, e.g. runner.timeouts so
+ *     that sampling ends with the test, window by default.
+ * @return {!Object} the series, {interval, startTime, samples, events}, which
+ *     keeps growing until stop() is called.
+ */
+PlaybackMetricsCollector.prototype.start = function(opt_timeouts) {
+  var self = this;
+  this.series = {
+    interval: this.interval,
+    startTime: Date.now(),
+    samples: [],
+    events: []
+  };
+  this.last_ = this.readCounters_();
+  ['playing', 'seeked', 'ratechange'].forEach(function(type) {
+    self.listen_(type, function() {
+      self.anchor_ = {time: Date.now(), currentTime: self.video.currentTime};
+    });
+  });
+  ['waiting', 'stalled'].forEach(function(type) {
+    self.listen_(type, function() {
+      self.series.events.push({
+        type: type,
+        time: Date.now() - self.series.startTime,
+        currentTime: self.video.currentTime
+      });
+    });
+  });
+  var timer = opt_timeouts || window;
+  this.intervalId_ = timer.setInterval(this.sample.bind(this), this.interval);
+  if (timer !== window) {
+    // Only window intervals can be cleared one by one.
+    this.intervalId_ = null;
+  }
+  return this.series;
+};
+
+PlaybackMetricsCollector.prototype.listen_ = function(type, listener) {
+  this.listeners_[type] = listener;
+  this.video.addEventListener(type, listener);
+};
+
+PlaybackMetricsCollector.prototype.readCounters_ = function() {
+  return {
+    decoded: this.metrics_.getTotalDecodedVideoFrames(),
+    dropped: this.metrics_.getDroppedVideoFrames(),
+    corrupted: this.metrics_.getCorruptedVideoFrames()
+  };
+};
+
+PlaybackMetricsCollector.prototype.getBufferAhead_ = function() {
+  var buffered = this.video.buffered;
+  var currentTime = this.video.currentTime;
+  for (var i = 0; buffered && i < buffered.length; ++i) {
+    if (buffered.start(i) <= currentTime && currentTime <= buffered.end(i)) {
+      return buffered.end(i) - currentTime;
+    }
+  }
+  return 0;
+};
+
+PlaybackMetricsCollector.prototype.getDrift_ = function(now) {
+  if (!this.anchor_) {
+    return null;
+  }
+  return (this.video.currentTime - this.anchor_.currentTime) -
+      (now - this.anchor_.time) / 1000 * this.video.playbackRate;
+};
+
+/**
+ * Records a sample, called by the interval started by start().
+ */
+PlaybackMetricsCollector.prototype.sample = function() {
+  if (!this.series || this.stopped_) {
+    return;
+  }
+  var now = Date.now();
+  var counters = this.readCounters_();
+  // NaN, when a counter isn't supported, doesn't survive JSON.
+  var delta = function(current, last) {
+    return isNaN(current) || isNaN(last) ? null : current - last;
+  };
+  var round = function(value) {
+    return value === null ? null : Math.round(value * 1000) / 1000;
+  };
+  this.series.samples.push({
+    time: now - this.series.startTime,
+    currentTime: round(this.video.currentTime),
+    decoded: delta(counters.decoded, this.last_.decoded),
+    dropped: delta(counters.dropped, this.last_.dropped),
+    corrupted: delta(counters.corrupted, this.last_.corrupted),
+    width: this.video.videoWidth,
+    height: this.video.videoHeight,
+    bufferAhead: round(this.getBufferAhead_()),
+    drift: round(this.getDrift_(now)),
+    paused: this.video.paused
+  });
+  if (this.series.samples.length > PlaybackMetricsCollector.MAX_SAMPLES) {
+    this.series.samples.shift();
+  }
+  this.last_ = counters;
+};
+
+/**
+ * Takes a last sample and stops sampling.
+ * @return {?Object} the series, see start().
+ */
+PlaybackMetricsCollector.prototype.stop = function() {
+  if (!this.series || this.stopped_) {
+    return this.series;
+  }
+  this.sample();
+  this.stopped_ = true;
+  if (this.intervalId_ !== null) {
+    window.clearInterval(this.intervalId_);
+  }
+  for (var type in this.listeners_) {
+    this.video.removeEventListener(type, this.listeners_[type]);
+  }
+  this.listeners_ = {};
+  return this.series;
+};
+
+/**
+ * Analyzes the frames presented by a video with requestVideoFrameCallback(),
+ * independently of the dropped frame counters reported by the implementation,
+ * which some platforms under-report.
+ *
+ * Between two callbacks the mediaTime of the presented frame should advance by
+ * one frame duration per presented frame. A larger advance means frames were
+ * skipped, no advance means a frame was presented again. The report compares
+ * these with getVideoPlaybackQuality() over the same period and is flagged as
+ * divergent when they disagree by more than a few frames.
+ * @param {!HTMLVideoElement} video
+ * @param {?number} fps frame rate of the stream, skipped and repeated frames
+ *     are only detected when it is known.
+ */
+var FramePresentationAnalyzer = function(video, fps) {
+  this.video = video;
+  this.fps = fps || null;
+  this.metrics_ = new VideoPerformanceMetrics(video);
+  this.report = null;
+  this.last_ = null;
+  this.baseline_ = null;
+  this.handle_ = null;
+  this.stopped_ = false;
+  this.intervals_ = {count: 0, sum: 0, sumOfSquares: 0};
+  this.onseeking_ = this.onseeking_.bind(this);
+};
+
+// Disagreements up to the larger of these are within measurement noise, e.g.
+// frames decoded but not presented yet when the counters are read.
+FramePresentationAnalyzer.DIVERGENCE_MIN_FRAMES = 5;
+FramePresentationAnalyzer.DIVERGENCE_RATIO = 0.02;
+
+/**
+ * @param {!HTMLVideoElement} video
+ * @return {boolean}
+ */
+FramePresentationAnalyzer.isSupported = function(video) {
+  return typeof video.requestVideoFrameCallback === 'function';
+};
+
+/**
+ * Starts the analysis.
+ * @return {!Object} the report, updated as frames are presented, see
+ *     update().
+ */
+FramePresentationAnalyzer.prototype.start = function() {
+  this.report = {
+    fps: this.fps,
+    callbacks: 0,
+    presentedFrames: 0,
+    skippedFrames: 0,
+    repeatedFrames: 0,
+    // Advances of mediaTime by more frames than were presented, and the
+    // largest advance per presented frame in seconds.
+    mediaTimeGaps: 0,
+    maxMediaTimeGap: 0,
+    // Time between presented frames in ms.
+    presentationInterval: {expected: null, mean: null, stddev: null, max: 0},
+    playbackQuality: null,
+    divergence: null
+  };
+  this.baseline_ = this.readCounters_();
+  this.video.addEventListener('seeking', this.onseeking_);
+  this.requestFrame_();
+  return this.report;
+};
+
+FramePresentationAnalyzer.prototype.readCounters_ = function() {
+  return {
+    decoded: this.metrics_.getTotalDecodedVideoFrames(),
+    dropped: this.metrics_.getDroppedVideoFrames()
+  };
+};
+
+FramePresentationAnalyzer.prototype.requestFrame_ = function() {
+  this.handle_ =
+      this.video.requestVideoFrameCallback(this.onframe_.bind(this));
+};
+
+FramePresentationAnalyzer.prototype.onseeking_ = function() {
+  // mediaTime jumps on seeks, the next frame starts over.
+  this.last_ = null;
+};
+
+FramePresentationAnalyzer.prototype.onframe_ = function(now, metadata) {
+  if (this.stopped_) {
+    return;
+  }
+  var report = this.report;
+  report.callbacks++;
+  var last = this.last_;
+  this.last_ = metadata;
+  this.requestFrame_();
+  if (!last) {
+    return;
+  }
+  var presented = metadata.presentedFrames - last.presentedFrames;
+  if (presented <= 0) {
+    return;
+  }
+  report.presentedFrames += presented;
+
+  var mediaTimeDelta = metadata.mediaTime - last.mediaTime;
+  if (this.fps && mediaTimeDelta >= 0) {
+    var frames = Math.round(mediaTimeDelta * this.fps);
+    if (frames === 0) {
+      report.repeatedFrames += presented;
+    } else if (frames > presented) {
+      report.skippedFrames += frames - presented;
+      report.mediaTimeGaps++;
+    }
+    report.maxMediaTimeGap = Math.max(report.maxMediaTimeGap,
+                                      mediaTimeDelta / presented);
+  }
+
+  var interval = (metadata.presentationTime - last.presentationTime) /
+      presented;
+  var intervals = this.intervals_;
+  intervals.count++;
+  intervals.sum += interval;
+  intervals.sumOfSquares += interval * interval;
+  var mean = intervals.sum / intervals.count;
+  report.presentationInterval.mean = mean;
+  report.presentationInterval.stddev = Math.sqrt(Math.max(0,
+      intervals.sumOfSquares / intervals.count - mean * mean));
+  report.presentationInterval.max =
+      Math.max(report.presentationInterval.max, interval);
+  if (this.fps) {
+    report.presentationInterval.expected =
+        1000 / (this.fps * this.video.playbackRate);
+  }
+};
+
+/**
+ * Compares the analysis with the counters of getVideoPlaybackQuality() since
+ * start() and updates the report with them.
+ * @return {!Object} the report.
+ */
+FramePresentationAnalyzer.prototype.update = function() {
+  if (!this.report) {
+    return this.report;
+  }
+  var counters = this.readCounters_();
+  var decoded = counters.decoded - this.baseline_.decoded;
+  var dropped = counters.dropped - this.baseline_.dropped;
+  var report = this.report;
+  report.playbackQuality = {decoded: decoded, dropped: dropped};
+  if (isNaN(decoded) || isNaN(dropped)) {
+    report.divergence = null;
+    return report;
+  }
+  var tolerance = Math.max(
+      FramePresentationAnalyzer.DIVERGENCE_MIN_FRAMES,
+      Math.ceil(decoded * FramePresentationAnalyzer.DIVERGENCE_RATIO));
+  var droppedFrames = this.fps ? report.skippedFrames - dropped : null;
+  var presentedFrames = report.presentedFrames - (decoded - dropped);
+  report.divergence = {
+    // Skipped frames that weren't counted as dropped, and the other way round.
+    droppedFrames: droppedFrames,
+    // Presented frames that weren't counted as decoded and not dropped.
+    presentedFrames: presentedFrames,
+    tolerance: tolerance,
+    flagged: Math.abs(droppedFrames || 0) > tolerance ||
+        Math.abs(presentedFrames) > tolerance
+  };
+  return report;
+};
+
+/**
+ * Stops the analysis.
+ * @return {?Object} the final report.
+ */
+FramePresentationAnalyzer.prototype.stop = function() {
+  if (!this.report || this.stopped_) {
+    return this.report;
+  }
+  this.update();
+  this.stopped_ = true;
+  if (typeof this.video.cancelVideoFrameCallback === 'function') {
+    this.video.cancelVideoFrameCallback(this.handle_);
+  }
+  this.video.removeEventListener('seeking', this.onseeking_);
+  return this.report;
+};
@@ -107,6 +107,7 @@ testXHRUint8Array.prototype.start = function(runner, video) {
 var testXHRAbort = createConformanceTest('1.2.2.1', 'XHRAbort', 'XHR');
 testXHRAbort.prototype.title = 'Ensure that XHR aborts actually abort by ' +
     'issuing an absurd number of them and then aborting all but one.';
+testXHRAbort.prototype.usesMedia([Media.VP9.VideoNormal]);
 testXHRAbort.prototype.start = function(runner, video) {
   var N = 100;
   var startTime = Date.now();
@@ -290,6 +291,8 @@ testDuration.prototype.onsourceopen = function() {
 var mediaElementEvents =
     createConformanceTest('1.3.9.1', 'MediaElementEvents', 'MSE Core');
 mediaElementEvents.prototype.title = 'Test events on the MediaElement.';
+mediaElementEvents.prototype.usesMedia(
+    [Media.AAC.Audio1MB, Media.VP9.Video1MB]);
 mediaElementEvents.prototype.onsourceopen = function() {
   var runner = this.runner;
   var media = this.video;
@@ -340,6 +343,8 @@ var mediaSourceEvents = createConformanceTest('1.3.10.1', 'MediaSourceEvents',
     'MSE Core');
 mediaSourceEvents.prototype.title =
     'Test if the events on MediaSource are correct.';
+mediaSourceEvents.prototype.usesMedia(
+    [Media.AAC.Audio1MB, Media.VP9.Video1MB]);
 mediaSourceEvents.prototype.onsourceopen = function() {
   var runner = this.runner;
   var media = this.video;
@@ -388,6 +393,7 @@ var testBufferSize = createConformanceTest('1.3.11.1', 'VideoBufferSize',
 testBufferSize.prototype.title = 'Determines video buffer sizes by ' +
     'appending incrementally until discard occurs, and tests that it meets ' +
     'the minimum requirements for streaming.';
+testBufferSize.prototype.usesMedia([Media.VP9.Video1MB]);
 testBufferSize.prototype.onsourceopen = function() {
   var runner = this.runner;
   // The test clip has a bitrate which is nearly exactly 1MB/sec, and
@@ -451,6 +457,8 @@ var testStartPlayWithoutData = createConformanceTest('1.3.12.1',
 testStartPlayWithoutData.prototype.title =
     'Test if we can start play before feeding any data. The play should ' +
     'start automatically after data is appended';
+testStartPlayWithoutData.prototype.usesMedia(
+    [Media.AAC.AudioHuge, Media.VP9.VideoHuge]);
 testStartPlayWithoutData.prototype.onsourceopen = function() {
   var runner = this.runner;
   var media = this.video;
@@ -556,6 +564,8 @@ var testEventTimestamp = createConformanceTest('1.3.15.1', 'EventTimestamp',
     'MSE Core');
 testEventTimestamp.prototype.title = 'Test Event Timestamp is relative to ' +
     'the initial page load';
+testEventTimestamp.prototype.usesMedia(
+    [Media.VP9.VideoTiny, Media.AAC.AudioTiny]);
 testEventTimestamp.prototype.onsourceopen = function() {
   var runner = this.runner;
   var video = this.video;
@@ -594,6 +604,8 @@ var testSeekTimeUpdate = createConformanceTest('1.3.16.1', 'SeekTimeUpdate',
     'MSE Core');
 testSeekTimeUpdate.prototype.title =
   'Timeupdate event fired with correct currentTime after seeking.';
+testSeekTimeUpdate.prototype.usesMedia(
+    [Media.VP9.VideoNormal, Media.AAC.AudioNormal]);
 testSeekTimeUpdate.prototype.onsourceopen = function() {
   var runner = this.runner;
   var media = this.video;
@@ -638,6 +650,7 @@ var testAppendWindowStart =
   createConformanceTest('1.3.17.1', 'AppendWindowStart', 'MSE Core');
 testAppendWindowStart.prototype.title =
   'Test if SourceBuffer respects appendWindowStart for appending.';
+testAppendWindowStart.prototype.usesMedia([Media.VP9.VideoNormal]);
 testAppendWindowStart.prototype.onsourceopen = function() {
   var runner = this.runner;
   var start = 3.4;
@@ -679,6 +692,7 @@ var testAppendWindowEnd =
   createConformanceTest('1.3.18.1', 'AppendWindowEnd', 'MSE Core');
 testAppendWindowEnd.prototype.title =
   'Test if SourceBuffer respects appendWindowEnd for appending.';
+testAppendWindowEnd.prototype.usesMedia([Media.VP9.VideoNormal]);
 testAppendWindowEnd.prototype.onsourceopen = function() {
   var runner = this.runner;
   var end = 5.3;
@@ -782,6 +796,7 @@ var createCurrentTimeAccuracyTest =
   var test = createConformanceTest(testId, frameRate + 'Accuracy',
       'MSE currentTime');
   test.prototype.title = 'Test the currentTime granularity.';
+  test.prototype.usesMedia([videoStream, audioStream]);
   test.prototype.onsourceopen = function() {
     var runner = this.runner;
     var video = this.video;
@@ -840,6 +855,7 @@ var createCurrentTimePausedAccuracyTest =
   var test = createConformanceTest(testId, frameRate + 'PausedAccuracy',
       'MSE currentTime', false);
   test.prototype.title = 'Test the currentTime granularity when pause.';
+  test.prototype.usesMedia([videoStream, audioStream]);
   test.prototype.onsourceopen = function() {
     var maxDiffInS = 0.032;
     var runner = this.runner;
@@ -1052,6 +1068,8 @@ var testFrameGaps = createConformanceTest('1.8.1.1', 'H264FrameGaps', 'Media');
 testFrameGaps.prototype.title = 'Test media with frame durations of 24FPS ' +
     'but segment timing corresponding to 23.976FPS';
 testFrameGaps.prototype.filename = Media.H264.FrameGap.src;
+testFrameGaps.prototype.usesMedia(
+    [Media.H264.FrameGap, Media.AAC.AudioNormal]);
 testFrameGaps.prototype.onsourceopen = frameTestOnSourceOpen;
 
 
@@ -1060,6 +1078,8 @@ var testFrameOverlaps = createConformanceTest('1.8.2.1', 'H264FrameOverlaps',
 testFrameOverlaps.prototype.title = 'Test media with frame durations of ' +
     '23.976FPS but segment timing corresponding to 24FPS';
 testFrameOverlaps.prototype.filename = Media.H264.FrameOverlap.src;
+testFrameOverlaps.prototype.usesMedia(
+    [Media.H264.FrameOverlap, Media.AAC.AudioNormal]);
 testFrameOverlaps.prototype.onsourceopen = frameTestOnSourceOpen;
 
 /**
@@ -1071,6 +1091,7 @@ var createHeAacTest = function(testId, audioStream) {
       audioStream.get('sbrSignaling') + 'SBR', 'Media');
   test.prototype.title = 'Test playback of HE-AAC with ' +
       audioStream.get('sbrSignaling') +  ' SBR signaling.';
+  test.prototype.usesMedia([audioStream, Media.H264.Video1MB]);
   test.prototype.onsourceopen = function() {
     var runner = this.runner;
     var media = this.video;
@@ -1109,6 +1130,61 @@ var createHeAacTest = function(testId, audioStream) {
 createHeAacTest('1.8.3.1', Media.AAC.AudioLowExplicitHE);
 createHeAacTest('1.8.4.1', Media.AAC.AudioLowImplicitHE);
 
+/**
+ * Ensure media can be appended in the chunks it arrives in, before the whole
+ * file is downloaded. With transport=fetch the chunks are those of the
+ * response body, with XMLHttpRequest the file arrives as a single chunk.
+ */
+var testProgressiveAppend = createConformanceTest('1.3.25.1',
+    'ProgressiveAppend', 'MSE Core', false, [Media.VP9.VideoTiny]);
+testProgressiveAppend.prototype.title = 'Test if media appended in the ' +
+    'chunks it is downloaded in is buffered as one range and plays.';
+testProgressiveAppend.prototype.onsourceopen = function() {
+  var runner = this.runner;
+  var media = this.video;
+  var videoStream = Media.VP9.VideoTiny;
+  var sb = this.ms.addSourceBuffer(videoStream.mimetype);
+  var chunks = [];
+  var appendCount = 0;
+  var loaded = false;
+  var finished = false;
+
+  var onAppended = function() {
+    finished = true;
+    runner.log('Appended ' + appendCount + ' chunks');
+    runner.checkEq(sb.buffered.length, 1, 'Number of buffered ranges');
+    runner.checkApproxEq(sb.buffered.end(0), videoStream.duration,
+                         'Buffered end', 0.5);
+    media.addEventListener('timeupdate', function onTimeUpdate() {
+      if (media.currentTime >= 2) {
+        media.removeEventListener('timeupdate', onTimeUpdate);
+        runner.succeed();
+      }
+    });
+    media.play();
+  };
+  var appendNext = function() {
+    if (finished || sb.updating)
+      return;
+    if (chunks.length > 0) {
+      appendCount++;
+      sb.appendBuffer(chunks.shift());
+    } else if (loaded) {
+      onAppended();
+    }
+  };
+  sb.addEventListener('updateend', appendNext);
+
+  var xhr = runner.XHRManager.createRequest(videoStream.src, function() {
+    loaded = true;
+    appendNext();
+  }, 0, videoStream.size, function(chunk) {
+    chunks.push(chunk);
+    appendNext();
+  });
+  xhr.send();
+};
+
 
 return {tests: tests, info: info, fields: fields, viewType: 'default'};
 
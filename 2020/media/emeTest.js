@@ -69,6 +69,10 @@ var createEncryptedCodecTest = function(
       `${keySystemTitle}${mandatory ? '' : ' (Optional)'}`,
       mandatory,
       [videoStream, audioStream]);
+  if (!mandatory) {
+    // Optional key systems are skipped on devices that don't provide them.
+    test.prototype.requires(Requirement.keySystem(keySystem, encStream));
+  }
   test.prototype.title = `Test if we can play ${encStream.mediatype} ` +
       `encrypted with ${keySystemTitle} encryption.`;
   test.prototype.start = function(runner, video) {
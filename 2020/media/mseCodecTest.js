@@ -441,6 +441,7 @@ var createPlaybackStateTest = function(testId, stream, mandatory) {
       mandatory,
       [stream]);
   test.prototype.title = 'Test if the playback state transition is correct.';
+  test.prototype.usesMedia([Media.AAC.AudioTiny]);
   test.prototype.onsourceopen = function() {
     var runner = this.runner;
     var media = this.video;
@@ -501,6 +502,7 @@ var createPlayPartialSegmentTest = function(testId, stream, mandatory) {
       [stream]);
   test.prototype.title =
       'Test if we can play a partially appended video segment.';
+  test.prototype.usesMedia([Media.AAC.AudioTiny]);
   test.prototype.onsourceopen = function() {
     var runner = this.runner;
     var video = this.video;
@@ -566,6 +568,7 @@ var createLimitedAudioTest = function(testId, stream) {
       [stream]);
   test.prototype.title =
       'Test if we can play an audio segment of only 0.5 seconds.';
+  test.prototype.usesMedia([Media.H264.VideoNormal]);
   test.prototype.onsourceopen = function() {
     var runner = this.runner;
     var video = this.video;
@@ -606,6 +609,7 @@ var createIncrementalLimitedAudioTest = function(testId, stream) {
       [stream]);
   test.prototype.title =
       'Test if we can append and play 0.5s of audio at a time.';
+  test.prototype.usesMedia([Media.H264.VideoNormal]);
 
   test.prototype.onsourceopen = function() {
     var runner = this.runner;
@@ -1187,6 +1191,7 @@ var createSeekTest = function(testId, videoStream, mandatory) {
   test.prototype.title = 'Test if we can seek during playing. It' +
       ' also tests if the implementation properly supports seek operation' +
       ' fired immediately after another seek that hasn\'t been completed.';
+  test.prototype.usesMedia([Media.AAC.AudioNormal]);
   test.prototype.onsourceopen = function() {
     var runner = this.runner;
     var media = this.video;
@@ -1247,6 +1252,7 @@ var createBufUnbufSeekTest = function(testId, videoStream, mandatory) {
       mandatory,
       [videoStream]);
   test.prototype.title = 'Seek into and out of a buffered region.';
+  test.prototype.usesMedia([Media.AAC.AudioNormal]);
   test.prototype.onsourceopen = function() {
     var runner = this.runner;
     var media = this.video;
@@ -34,6 +34,8 @@ var PlaybackperfTest = function(subgroup, suite) {
   info += ' | Default Timeout: ' + TestBase.timeout + 'ms';
 
   var fields = ['passes', 'failures', 'timeouts'];
+  // Thresholds and durations of the suite, see harness/perfProfile.js.
+  var settings = perfProfile.getSettings(subgroup);
 
   var createPerfTest = function(
       testId, name, category = 'Playback Performance', mandatory = true) {
@@ -56,10 +58,22 @@ var PlaybackperfTest = function(subgroup, suite) {
    * @private
    */
   class PerfTestUtil_ {
-    constructor(test, runner, video) {
+    constructor(test, runner, video, fps) {
       this.test_ = test;
       this.runner_ = runner;
       this.videoPerfMetrics_ = this.getVideoPerfMetrics(video);
+      // The effective thresholds and durations of the suite.
+      runner.attach('perfSettings', settings);
+      // The series and the frame analysis are attached as they grow, so that
+      // tests that fail or time out carry the playback up to that point too.
+      this.metricsCollector_ = new PlaybackMetricsCollector(video);
+      runner.attach(
+          'playbackMetrics', this.metricsCollector_.start(runner.timeouts));
+      this.frameAnalyzer_ = null;
+      if (FramePresentationAnalyzer.isSupported(video)) {
+        this.frameAnalyzer_ = new FramePresentationAnalyzer(video, fps);
+        runner.attach('frameAnalysis', this.frameAnalyzer_.start());
+      }
     }
 
     getVideoPerfMetrics(video) {
@@ -73,6 +87,24 @@ var PlaybackperfTest = function(subgroup, suite) {
       return videoPerfMetrics;
     }
 
+    stopMetricsCollection() {
+      this.metricsCollector_.stop();
+      if (!this.frameAnalyzer_) {
+        return;
+      }
+      var report = this.frameAnalyzer_.stop();
+      this.runner_.log(
+          `Presented ${report.presentedFrames} frames, ` +
+          `${report.skippedFrames} skipped, ` +
+          `${report.repeatedFrames} repeated`);
+      if (report.divergence && report.divergence.flagged) {
+        this.runner_.log(
+            'Presented frames diverge from getVideoPlaybackQuality: ' +
+            `${report.playbackQuality.dropped} dropped and ` +
+            `${report.playbackQuality.decoded} decoded reported`);
+      }
+    }
+
     getTotalDecodedFrames() {
       return this.videoPerfMetrics_.getTotalDecodedVideoFrames();
     }
@@ -82,6 +114,9 @@ var PlaybackperfTest = function(subgroup, suite) {
     }
 
     updateVideoPerfMetricsStatus() {
+      if (this.frameAnalyzer_) {
+        this.frameAnalyzer_.update();
+      }
       this.test_.prototype.status =
           `(${this.getTotalDroppedFrames()}/${this.getTotalDecodedFrames()})`;
       this.runner_.updateStatus();
@@ -119,12 +154,14 @@ var PlaybackperfTest = function(subgroup, suite) {
     var test =
         createPerfTest(testId, 'TotalVideoFrames', 'Media Playback Quality');
     test.prototype.title = 'TotalVideoFrames Validation';
+    test.prototype.usesMedia([videoStream, Media.AAC.Audio1MB]);
     test.prototype.start = function(runner, video) {
       var ms = new MediaSource();
       var audioStream = Media.AAC.Audio1MB;
       var videoSb;
       var audioSb;
-      var perfTestUtil = new PerfTestUtil_(test, runner, video);
+      var perfTestUtil = new PerfTestUtil_(
+          test, runner, video, videoStream.get('fps'));
 
       var videoXhr = runner.XHRManager.createRequest(
           videoStream.src, function(e) {
@@ -132,6 +169,7 @@ var PlaybackperfTest = function(subgroup, suite) {
         videoSb.addEventListener('updateend', function() {
           ms.endOfStream();
           video.addEventListener('ended', function() {
+            perfTestUtil.stopMetricsCollection();
             runner.checkEq(
                 perfTestUtil.getTotalDecodedFrames(),
                 frames,
@@ -168,8 +206,11 @@ var PlaybackperfTest = function(subgroup, suite) {
       testId, videoStream1, videoStream2) {
     var test = createPerfTest(testId, 'FrameDrop', 'Media Playback Quality');
     test.prototype.title = 'Frame Drop Validation';
+    test.prototype.usesMedia(
+        [videoStream1, videoStream2, Media.AAC.AudioNormal]);
     test.prototype.start = function(runner, video) {
-      var perfTestUtil = new PerfTestUtil_(test, runner, video);
+      var perfTestUtil = new PerfTestUtil_(
+          test, runner, video, videoStream1.get('fps'));
       var playVideo = function(videoStream) {
         setupMse(video, runner, videoStream, Media.AAC.AudioNormal);
         video.playbackRate = 2.0;
@@ -182,8 +223,10 @@ var PlaybackperfTest = function(subgroup, suite) {
             perfTestUtil.assertAtLeastOneFrameDecoded();
             var totalDroppedFrames = perfTestUtil.getTotalDroppedFrames();
             if (totalDroppedFrames > 2) {
+              perfTestUtil.stopMetricsCollection();
               runner.succeed();
             } else if (videoStream2.src == videoStream.src) {
+              perfTestUtil.stopMetricsCollection();
               runner.fail('UserAgent produced ' + totalDroppedFrames +
                   ' dropped frames.');
             } else {
@@ -227,24 +270,28 @@ var PlaybackperfTest = function(subgroup, suite) {
         category,
         mandatory);
     test.prototype.title = 'Playback performance test';
+    test.prototype.usesMedia([videoStream, Media.AAC.AudioNormal]);
     test.prototype.start = function(runner, video) {
       var testEmeHandler = this.emeHandler;
-      var perfTestUtil = new PerfTestUtil_(test, runner, video);
+      var perfTestUtil = new PerfTestUtil_(
+          test, runner, video, videoStream.get('fps'));
       setupMse(video, runner, videoStream, Media.AAC.AudioNormal, 6);
       if (drmScheme) {
         setupEme(runner, testEmeHandler, video, videoStream, drmScheme);
       }
       video.playbackRate = playbackRate;
       video.addEventListener('timeupdate', function onTimeUpdate(e) {
-        if (drmScheme && video.currentTime > 0 && video.currentTime < 10) {
-          // Skip first 10 seconds for DRM
-          video.currentTime = 10;
+        if (drmScheme && video.currentTime > 0 &&
+            video.currentTime < settings.drmSkipAhead) {
+          // Skip the first seconds for DRM
+          video.currentTime = settings.drmSkipAhead;
           return;
         }
         perfTestUtil.updateVideoPerfMetricsStatus();
         if (stopPlayback(video, testEmeHandler)) {
           video.removeEventListener('timeupdate', onTimeUpdate);
           video.pause();
+          perfTestUtil.stopMetricsCollection();
           if (video.playbackRate != playbackRate) {
             runner.fail('playbackRate is not set');
           }
@@ -256,6 +303,519 @@ var PlaybackperfTest = function(subgroup, suite) {
     };
   };
 
+  // On the clock of requestVideoFrameCallback() where available.
+  var now = function() {
+    return window.performance ? window.performance.now() : Date.now();
+  };
+
+  var fetchRange = function(runner, src, start, length, cb) {
+    runner.XHRManager.createRequest(src, function() {
+      cb(this.getResponseData());
+    }, start, length).send();
+  };
+
+  /**
+   * Returns the segments of a stream, {time, duration, offset, size}, from
+   * its first 32k.
+   */
+  var parseSegments = function(stream, data) {
+    return ['VP9', 'Opus'].includes(stream.codec) ?
+        parseWebM(data.buffer) : parseMp4(data);
+  };
+
+  /**
+   * Returns the median and the 95th percentile (nearest rank) of samples.
+   */
+  var summarizeLatencies = function(samples) {
+    var sorted = samples.slice().sort(function(a, b) {
+      return a - b;
+    });
+    var percentile = function(p) {
+      return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+    };
+    return {
+      samples: samples,
+      median: sorted.length % 2 ?
+          sorted[(sorted.length - 1) / 2] :
+          (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2,
+      p95: percentile(0.95)
+    };
+  };
+
+  // Startup milestones in the order they are reached, in ms since the
+  // MediaSource was attached to the video.
+  var STARTUP_MILESTONES =
+      ['sourceOpen', 'firstAppend', 'loadedData', 'canPlay', 'firstFrame'];
+  // Time allowed for one startup in ms, the timeout of the startup latency
+  // tests grows with startup_iterations.
+  var STARTUP_TIMEOUT = 10000;
+
+  /**
+   * Measures how long playback takes to start: the time from attaching a
+   * MediaSource to sourceopen, to the first append of every SourceBuffer
+   * completing, to loadeddata, canplay and the first rendered frame.
+   *
+   * Startup is repeated startup_iterations times with a cold cache, requesting
+   * the media under a new URL, each followed by a startup with a warm cache,
+   * requesting the media under the same URL again. The media cache of the
+   * harness is never used so that only the caches of the platform are
+   * measured. The test passes when the 95th percentiles of the time to first
+   * frame are within startupColdFirstFrameP95 and startupWarmFirstFrameP95 of
+   * the performance profile. The tests are optional.
+   */
+  var createStartupLatencyTest = function(testId, videoStream, category) {
+    var audioStream = Media.AAC.AudioNormal;
+    var test = createPerfTest(
+        testId,
+        `StartupLatency${videoStream.codec}` +
+            `${videoStream.get('resolution')}${videoStream.get('fps')}fps`,
+        category,
+        false);
+    test.prototype.title = 'Startup latency test';
+    test.prototype.usesMedia([videoStream, audioStream]);
+    test.prototype.bypassMediaCache = true;
+    // Every iteration is a cold and a warm startup.
+    test.prototype.timeout = Math.max(TestBase.timeout,
+        harnessConfig.startup_iterations * 2 * STARTUP_TIMEOUT);
+    test.prototype.start = function(runner, video) {
+      runner.attach('perfSettings', settings);
+      var iterations = harnessConfig.startup_iterations;
+      var latencies = {cold: {}, warm: {}};
+      STARTUP_MILESTONES.forEach(function(milestone) {
+        latencies.cold[milestone] = [];
+        latencies.warm[milestone] = [];
+      });
+      // Appends the initialization segment and the first two media segments
+      // of the stream, calls onfirstappend when the first append completes.
+      // Nothing is appended anymore once isDone() returns true, the
+      // SourceBuffer is gone with the startup.
+      var appendStream = function(stream, src, sb, onfirstappend, isDone) {
+        fetchRange(runner, src, 0, 32 * 1024, function(data) {
+          if (isDone())
+            return;
+          var segments = parseSegments(stream, data);
+          fetchRange(runner, src, 0, segments[0].offset + segments[0].size,
+                     function(data) {
+            if (isDone())
+              return;
+            sb.addEventListener('updateend', function onFirstAppend() {
+              sb.removeEventListener('updateend', onFirstAppend);
+              onfirstappend();
+              if (segments.length > 1) {
+                fetchRange(runner, src, segments[1].offset, segments[1].size,
+                           function(data) {
+                  if (!isDone())
+                    sb.appendBuffer(data);
+                });
+              }
+            });
+            sb.appendBuffer(data);
+          });
+        });
+      };
+
+      // Starts playback once and calls cb with the milestones reached. The
+      // media is requested with the token in its URL, a new token makes a
+      // cold startup.
+      var startup = function(token, cb) {
+        var getSrc = function(src) {
+          return src + (src.indexOf('?') === -1 ? '?' : '&') + 'startup=' +
+              token;
+        };
+        var times = {};
+        var attachTime;
+        var mark = function(milestone, opt_time) {
+          if (!times.hasOwnProperty(milestone)) {
+            times[milestone] = Math.round(
+                (opt_time !== undefined ? opt_time : now()) - attachTime);
+          }
+        };
+        var ms = new MediaSource();
+        var done = false;
+        var isDone = function() {
+          return done;
+        };
+        var pendingAppends = 2;
+        var onFirstAppend = function() {
+          if (--pendingAppends === 0)
+            mark('firstAppend');
+        };
+        var onLoadedData = function() {
+          mark('loadedData');
+        };
+        var onCanPlay = function() {
+          mark('canPlay');
+        };
+        var onFirstFrame = function(opt_time) {
+          if (done)
+            return;
+          done = true;
+          mark('firstFrame', opt_time);
+          video.removeEventListener('loadeddata', onLoadedData);
+          video.removeEventListener('canplay', onCanPlay);
+          video.removeEventListener('timeupdate', onTimeUpdate);
+          video.pause();
+          video.removeAttribute('src');
+          video.load();
+          window.URL.revokeObjectURL(url);
+          cb(times);
+        };
+        var onTimeUpdate = function() {
+          if (video.currentTime > 0)
+            onFirstFrame();
+        };
+        ms.addEventListener('sourceopen', function() {
+          mark('sourceOpen');
+          appendStream(audioStream, getSrc(audioStream.src),
+                       ms.addSourceBuffer(audioStream.mimetype),
+                       onFirstAppend, isDone);
+          appendStream(videoStream, getSrc(videoStream.src),
+                       ms.addSourceBuffer(videoStream.mimetype),
+                       onFirstAppend, isDone);
+        });
+        video.addEventListener('loadeddata', onLoadedData);
+        video.addEventListener('canplay', onCanPlay);
+        if (typeof video.requestVideoFrameCallback === 'function') {
+          video.requestVideoFrameCallback(function(time, metadata) {
+            onFirstFrame(metadata.presentationTime);
+          });
+        } else {
+          video.addEventListener('timeupdate', onTimeUpdate);
+        }
+        var url = window.URL.createObjectURL(ms);
+        attachTime = now();
+        video.src = url;
+        video.play();
+      };
+
+      var finish = function() {
+        var summary = {
+          iterations: iterations,
+          firstFrameSource: typeof video.requestVideoFrameCallback ===
+              'function' ? 'requestVideoFrameCallback' : 'timeupdate',
+          thresholds: {
+            coldFirstFrameP95: settings.startupColdFirstFrameP95,
+            warmFirstFrameP95: settings.startupWarmFirstFrameP95
+          },
+          cold: {},
+          warm: {}
+        };
+        STARTUP_MILESTONES.forEach(function(milestone) {
+          summary.cold[milestone] =
+              summarizeLatencies(latencies.cold[milestone]);
+          summary.warm[milestone] =
+              summarizeLatencies(latencies.warm[milestone]);
+        });
+        runner.attach('startupLatency', summary);
+        test.prototype.status = `(${summary.cold.firstFrame.p95}/` +
+            `${summary.warm.firstFrame.p95}ms)`;
+        runner.updateStatus();
+        runner.checkLE(summary.cold.firstFrame.p95,
+                       summary.thresholds.coldFirstFrameP95,
+                       'Cold time to first frame p95 (ms)');
+        runner.checkLE(summary.warm.firstFrame.p95,
+                       summary.thresholds.warmFirstFrameP95,
+                       'Warm time to first frame p95 (ms)');
+        runner.succeed();
+      };
+
+      var token;
+      var run = function(i) {
+        if (i >= iterations * 2) {
+          finish();
+          return;
+        }
+        // Every cold startup is followed by a warm one of the same media.
+        var cold = i % 2 === 0;
+        if (cold)
+          token = Date.now() + '-' + i;
+        test.prototype.status = `(${i + 1}/${iterations * 2})`;
+        runner.updateStatus();
+        startup(token, function(times) {
+          STARTUP_MILESTONES.forEach(function(milestone) {
+            if (times.hasOwnProperty(milestone))
+              latencies[cold ? 'cold' : 'warm'][milestone].push(
+                  times[milestone]);
+          });
+          runner.log(`${cold ? 'Cold' : 'Warm'} startup: ` +
+                     JSON.stringify(times));
+          runner.timeouts.setTimeout(run.bind(null, i + 1), 500);
+        });
+      };
+      run(0);
+    };
+  };
+
+  /**
+   * Create Startup Latency tests for given media formats.
+   */
+  function createStartupLatencyTestSuite(suiteId, mediaFormats, category) {
+    mediaFormats.forEach(function(videoStream, i) {
+      createStartupLatencyTest(`${suiteId}.1.${i + 1}.1`, videoStream,
+                               category);
+    });
+  }
+
+  // Seconds buffered ahead of every unbuffered seek.
+  var SEEK_BUFFER_AHEAD = 4;
+  // Time allowed for one round of the seek pattern in ms, the timeout of the
+  // seek latency tests grows with seek_iterations.
+  var SEEK_ROUND_TIMEOUT = 15000;
+  var SEEK_PATTERNS = ['forwardBuffered', 'backwardBuffered', 'unbuffered'];
+
+  /**
+   * Measures the latency of seeks during playback: the time from setting
+   * currentTime to the seeked event and to the first frame at the new
+   * position.
+   *
+   * Every round of the pattern, repeated seek_iterations times, seeks forward
+   * and then backward within the buffer, then removes the buffered media and
+   * seeks to another position of the stream, appending the media there as a
+   * player would. The test passes when the 95th percentiles of the time to
+   * first frame are within seekBufferedP95 and seekUnbufferedP95 of the
+   * performance profile for the codec. The tests are optional.
+   */
+  var createSeekLatencyTest = function(testId, videoStream, category) {
+    var audioStream = Media.AAC.AudioNormal;
+    var test = createPerfTest(
+        testId,
+        `SeekLatency${videoStream.codec}` +
+            `${videoStream.get('resolution')}${videoStream.get('fps')}fps`,
+        category,
+        false);
+    test.prototype.title = 'Seek latency test';
+    test.prototype.usesMedia([videoStream, audioStream]);
+    test.prototype.timeout = Math.max(TestBase.timeout,
+        harnessConfig.seek_iterations * SEEK_ROUND_TIMEOUT);
+    test.prototype.start = function(runner, video) {
+      runner.attach('perfSettings', settings);
+      var iterations = harnessConfig.seek_iterations;
+      var duration = Math.min(videoStream.duration, audioStream.duration);
+      var ms = new MediaSource();
+      var tracks = [];
+      var latencies = {};
+      SEEK_PATTERNS.forEach(function(pattern) {
+        latencies[pattern] = {seeked: [], firstFrame: []};
+      });
+
+      var appendData = function(sb, data, cb) {
+        sb.addEventListener('updateend', function onUpdateEnd() {
+          sb.removeEventListener('updateend', onUpdateEnd);
+          cb();
+        });
+        sb.appendBuffer(data);
+      };
+
+      // Fetches the segments of the track and appends its initialization
+      // segment.
+      var loadTrack = function(stream, cb) {
+        var track = {stream: stream, sb: ms.addSourceBuffer(stream.mimetype)};
+        tracks.push(track);
+        fetchRange(runner, stream.src, 0, 32 * 1024, function(data) {
+          track.segments = parseSegments(stream, data);
+          track.appended = track.segments.map(function() {
+            return false;
+          });
+          fetchRange(runner, stream.src, 0, track.segments[0].offset,
+                     function(data) {
+            appendData(track.sb, data, cb);
+          });
+        });
+      };
+
+      // Appends the segments of every track overlapping [start, end) that
+      // weren't appended yet.
+      var appendRange = function(start, end, cb) {
+        var pending = [];
+        tracks.forEach(function(track) {
+          track.segments.forEach(function(segment, i) {
+            if (!track.appended[i] && segment.time < end &&
+                segment.time + segment.duration > start) {
+              track.appended[i] = true;
+              pending.push({track: track, segment: segment});
+            }
+          });
+        });
+        var next = function() {
+          if (pending.length === 0) {
+            cb();
+            return;
+          }
+          var item = pending.shift();
+          fetchRange(runner, item.track.stream.src, item.segment.offset,
+                     item.segment.size, function(data) {
+            appendData(item.track.sb, data, next);
+          });
+        };
+        next();
+      };
+
+      // The media of an unbuffered seek is appended while it seeks, a later
+      // removeAll() waits for the appends to complete.
+      var appending = false;
+      var onAppended = null;
+      var appendAhead = function(start, end) {
+        appending = true;
+        appendRange(start, end, function() {
+          appending = false;
+          if (onAppended) {
+            var cb = onAppended;
+            onAppended = null;
+            cb();
+          }
+        });
+      };
+      var whenAppended = function(cb) {
+        if (appending)
+          onAppended = cb;
+        else
+          cb();
+      };
+
+      var removeAll = function(cb) {
+        var pending = tracks.length;
+        tracks.forEach(function(track) {
+          track.appended = track.appended.map(function() {
+            return false;
+          });
+          track.sb.addEventListener('updateend', function onRemoved() {
+            track.sb.removeEventListener('updateend', onRemoved);
+            if (--pending === 0)
+              cb();
+          });
+          track.sb.remove(0, duration + 1);
+        });
+      };
+
+      var waitForPlayback = function(time, cb) {
+        video.addEventListener('timeupdate', function onTimeUpdate() {
+          if (!video.paused && video.currentTime >= time) {
+            video.removeEventListener('timeupdate', onTimeUpdate);
+            cb();
+          }
+        });
+      };
+
+      // Seeks to target and calls cb once the seeked event fired and the
+      // first frame at target was rendered.
+      var seek = function(pattern, target, cb) {
+        var result = {};
+        var seekTime;
+        var onDone = function() {
+          if (result.seeked === undefined || result.firstFrame === undefined)
+            return;
+          latencies[pattern].seeked.push(result.seeked);
+          latencies[pattern].firstFrame.push(result.firstFrame);
+          runner.log(`Seek ${pattern} to ${target.toFixed(2)}s: ` +
+                     `seeked after ${result.seeked}ms, first frame after ` +
+                     `${result.firstFrame}ms`);
+          cb();
+        };
+        video.addEventListener('seeked', function onSeeked() {
+          video.removeEventListener('seeked', onSeeked);
+          result.seeked = Math.round(now() - seekTime);
+          if (typeof video.requestVideoFrameCallback !== 'function')
+            waitForPlayback(target + 0.1, onFirstFrame);
+          onDone();
+        });
+        var onFirstFrame = function(opt_time) {
+          result.firstFrame = Math.round(
+              (opt_time !== undefined ? opt_time : now()) - seekTime);
+          onDone();
+        };
+        if (typeof video.requestVideoFrameCallback === 'function') {
+          // Frames of the position before the seek may still be presented.
+          video.requestVideoFrameCallback(function onFrame(time, metadata) {
+            if (Math.abs(metadata.mediaTime - target) > 0.5) {
+              video.requestVideoFrameCallback(onFrame);
+              return;
+            }
+            onFirstFrame(metadata.presentationTime);
+          });
+        }
+        seekTime = now();
+        video.currentTime = target;
+      };
+
+      var getUnbufferedTarget = function(round) {
+        var start = 1;
+        var end = duration - SEEK_BUFFER_AHEAD - 1;
+        return start + (end - start) * (round + 1) / (iterations + 1);
+      };
+
+      var finish = function() {
+        var summary = {iterations: iterations};
+        SEEK_PATTERNS.forEach(function(pattern) {
+          summary[pattern] = {
+            seeked: summarizeLatencies(latencies[pattern].seeked),
+            firstFrame: summarizeLatencies(latencies[pattern].firstFrame)
+          };
+        });
+        var thresholds = {
+          buffered: settings.seekBufferedP95[videoStream.codec],
+          unbuffered: settings.seekUnbufferedP95[videoStream.codec]
+        };
+        summary.thresholds = thresholds;
+        runner.attach('seekLatency', summary);
+        test.prototype.status = `(${summary.forwardBuffered.firstFrame.p95}/` +
+            `${summary.unbuffered.firstFrame.p95}ms)`;
+        runner.updateStatus();
+        SEEK_PATTERNS.forEach(function(pattern) {
+          runner.checkLE(
+              summary[pattern].firstFrame.p95,
+              pattern === 'unbuffered' ?
+                  thresholds.unbuffered : thresholds.buffered,
+              `Seek ${pattern} to first frame p95 (ms)`);
+        });
+        runner.succeed();
+      };
+
+      var runRound = function(round, position) {
+        if (round >= iterations) {
+          finish();
+          return;
+        }
+        test.prototype.status = `(${round + 1}/${iterations})`;
+        runner.updateStatus();
+        var target = getUnbufferedTarget(round);
+        waitForPlayback(position + 0.5, function() {
+          seek('forwardBuffered', position + 2, function() {
+            seek('backwardBuffered', position + 1, function() {
+              whenAppended(removeAll.bind(null, function() {
+                seek('unbuffered', target, function() {
+                  runRound(round + 1, target);
+                });
+                appendAhead(target, target + SEEK_BUFFER_AHEAD);
+              }));
+            });
+          });
+        });
+      };
+
+      ms.addEventListener('sourceopen', function() {
+        ms.duration = duration;
+        loadTrack(videoStream, function() {
+          loadTrack(audioStream, function() {
+            appendRange(0, SEEK_BUFFER_AHEAD, function() {
+              video.play();
+              runRound(0, 0);
+            });
+          });
+        });
+      });
+      video.src = window.URL.createObjectURL(ms);
+    };
+  };
+
+  /**
+   * Create Seek Latency tests for given media formats.
+   */
+  function createSeekLatencyTestSuite(suiteId, mediaFormats, category) {
+    mediaFormats.forEach(function(videoStream, i) {
+      createSeekLatencyTest(`${suiteId}.1.${i + 1}.1`, videoStream, category);
+    });
+  }
+
   var mediaFormatsVP9 = [
     Media.VP9.Webgl144p30fps,
     Media.VP9.Webgl240p30fps,
@@ -343,24 +903,26 @@ var PlaybackperfTest = function(subgroup, suite) {
     Media.H264.DrmL3NoHDCP1080p60fpsMqCenc
   ];
 
-  var playbackSpeeds = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+  var playbackSpeeds = settings.playbackSpeeds;
 
   function shouldStopPlayback(video) {
-    return !video.paused && video.currentTime >= 15;
+    return !video.paused && video.currentTime >= settings.playbackDuration;
   }
 
   function shouldStopDrmPlayback(video, emeHandler) {
-    return !video.paused && video.currentTime >= 25 && !emeHandler.keyUnusable;
+    return !video.paused &&
+        video.currentTime >= settings.drmPlaybackDuration &&
+        !emeHandler.keyUnusable;
   }
 
   function defaultTestAssertion(perfTestUtil) {
     perfTestUtil.assertAtLeastOneFrameDecoded();
-    perfTestUtil.assertMaxDroppedFrames(1);
+    perfTestUtil.assertMaxDroppedFrames(settings.maxDroppedFrames);
   }
 
   function HFRHighSpeedPlaybackTestAssertion(perfTestUtil) {
     perfTestUtil.assertAtLeastOneFrameDecoded();
-    perfTestUtil.assertMaxDroppedFramesRatio(0.5);
+    perfTestUtil.assertMaxDroppedFramesRatio(settings.maxDroppedFramesRatio);
   }
 
   function getTestAssertion(playbackSpeed, isHFR) {
@@ -370,6 +932,33 @@ var PlaybackperfTest = function(subgroup, suite) {
       return defaultTestAssertion;
   }
 
+  // Formats below 720p are only played at 1X.
+  function isPlaybackSpeedTested(mediaFormat, playbackSpeed) {
+    return playbackSpeed == 1 ||
+        util.compareResolutions(mediaFormat.get('resolution'), '720p') >= 0;
+  }
+
+  /**
+   * Returns the id of the playback test of a format at a speed. The tests of
+   * the default playback speeds keep their ids whatever speeds the profile
+   * selects. Tests of other speeds are numbered by format and by speed in
+   * percent, e.g. 7.3.2.300 for the second format at 3X.
+   */
+  function getPlaybackPerfTestId(suiteId, mediaFormats, formatIdx, speed) {
+    var defaultSpeeds = perfProfile.DEFAULT_SETTINGS.playbackSpeeds;
+    var testCaseId = 1;
+    for (var i = 0; i < mediaFormats.length; i++) {
+      for (var s = 0; s < defaultSpeeds.length; s++) {
+        if (!isPlaybackSpeedTested(mediaFormats[i], defaultSpeeds[s]))
+          continue;
+        if (i === formatIdx && defaultSpeeds[s] === speed)
+          return `${suiteId}.2.${testCaseId}.1`;
+        testCaseId++;
+      }
+    }
+    return `${suiteId}.3.${formatIdx + 1}.${Math.round(speed * 100)}`;
+  }
+
   /**
    * Create Playback Performance tests for given media formats across all
    * playback speeds.
@@ -382,25 +971,21 @@ var PlaybackperfTest = function(subgroup, suite) {
         `${suiteId}.1.2.1`,
         Media.H264.Webgl1080p60fps,
         Media.VP9.Webgl2160p60fps);
-    var testCaseId = 1;
-    for (var formatIdx in mediaFormats) {
-      for (var s in playbackSpeeds) {
-        if (util.compareResolutions(
-            mediaFormats[formatIdx].get('resolution'), '720p') < 0
-            && playbackSpeeds[s] != 1) {
-          continue;
-        }
+    mediaFormats.forEach(function(mediaFormat, formatIdx) {
+      playbackSpeeds.forEach(function(playbackSpeed) {
+        if (!isPlaybackSpeedTested(mediaFormat, playbackSpeed))
+          return;
         createPlaybackPerfTest(
-            `${suiteId}.2.${testCaseId}.1`,
-            mediaFormats[formatIdx],
-            playbackSpeeds[s],
+            getPlaybackPerfTestId(
+                suiteId, mediaFormats, formatIdx, playbackSpeed),
+            mediaFormat,
+            playbackSpeed,
             category,
             stopPlayback,
-            getTestAssertion(playbackSpeeds[s], isHFR),
+            getTestAssertion(playbackSpeed, isHFR),
             drmScheme);
-        testCaseId++;
-      }
-    }
+      });
+    });
   }
 
   switch (subgroup) {
@@ -463,6 +1048,19 @@ var PlaybackperfTest = function(subgroup, suite) {
           true,
           LicenseManager.WIDEVINE);
       break;
+    case 'startup':
+      createStartupLatencyTestSuite(
+          '14',
+          [].concat(mediaFormatsVP9, mediaFormatsH264, mediaFormatsAV1,
+                    mediaFormatsHfr),
+          'Startup Latency');
+      break;
+    case 'seek':
+      createSeekLatencyTestSuite(
+          '15',
+          [].concat(mediaFormatsVP9, mediaFormatsH264, mediaFormatsAV1),
+          'Seek Latency');
+      break;
   }
 
   return {
@@ -482,6 +1080,8 @@ var PlaybackperfTestAll = function() {
   PlaybackperfTest('widevine-sfr-vp9', 'VP9 Widevine SFR Tests');
   PlaybackperfTest('widevine-sfr-h264', 'H264 Widevine SFR Tests');
   PlaybackperfTest('widevine-hfr', 'Widevine HFR Tests');
+  PlaybackperfTest('startup', 'Startup Latency Tests');
+  PlaybackperfTest('seek', 'Seek Latency Tests');
 };
 
 try {
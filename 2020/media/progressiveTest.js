@@ -35,6 +35,13 @@ var createProgressiveTest = function(testId, category, name, mandatory = true) {
   return t;
 };
 
+// The media element downloads the file itself, so the media cache can't
+// serve it.
+var usesProgressiveMedia = function(test) {
+  test.prototype.usesMedia([Media.H264.ProgressiveLow]);
+  test.prototype.bypassMediaCache = true;
+};
+
 /**
  * Test the inital state of a video element.
  */
@@ -78,6 +85,7 @@ var createMediaStateAfterSrcAssignedTest = function(testId, state, value, check)
   check = typeof(check) === 'undefined' ? 'checkEq' : check;
   test.prototype.title = 'Test if the state ' + state +
       ' is correct when media element is a src has been assigned';
+  usesProgressiveMedia(test);
   test.prototype.start = function(runner, video) {
     video.src = Media.H264.ProgressiveLow.src;
     test.prototype.status = util.formatStatus(util.getAttr(video, state));
@@ -101,6 +109,7 @@ var createMediaStateInLoadStart = function(testId, state, value, check) {
   check = typeof(check) === 'undefined' ? 'checkEq' : check;
   test.prototype.title = 'Test if the state ' + state +
       ' is correct when media element is in loadstart';
+  usesProgressiveMedia(test);
   test.prototype.start = function(runner, video) {
     video.addEventListener('loadstart', function() {
       test.prototype.status = util.formatStatus(util.getAttr(video, state));
@@ -122,6 +131,7 @@ var createProgressTest = function(testId) {
   var test = createProgressiveTest(testId, 'event', 'onprogress');
 
   test.prototype.title = 'Test if there is progress event.';
+  usesProgressiveMedia(test);
   test.prototype.start = function(runner, video) {
     var self = this;
     video.src = Media.H264.ProgressiveLow.src + '?' + Date.now();
@@ -141,6 +151,7 @@ var createTimeUpdateTest = function(testId) {
   var test = createProgressiveTest(testId, 'event', 'ontimeupdate');
 
   test.prototype.title = 'Test if there is timeupdate event.';
+  usesProgressiveMedia(test);
   test.prototype.start = function(runner, video) {
     var self = this;
     video.src = Media.H264.ProgressiveLow.src;
@@ -161,6 +172,7 @@ var createCanPlayTest = function(testId) {
   var test = createProgressiveTest(testId, 'event', 'canplay');
 
   test.prototype.title = 'Test if there is canplay event.';
+  usesProgressiveMedia(test);
   test.prototype.start = function(runner, video) {
     var self = this;
     video.src = Media.H264.ProgressiveLow.src;
@@ -180,6 +192,7 @@ var createAutoPlayTest = function(testId) {
   var test = createProgressiveTest(testId, 'control', 'autoplay');
 
   test.prototype.title = 'Test if autoplay works';
+  usesProgressiveMedia(test);
   test.prototype.start = function(runner, video) {
     var self = this;
     video.autoplay = true;
@@ -200,6 +213,7 @@ var createNetworkStateTest = function(testId) {
   var test = createProgressiveTest(testId, 'state', 'networkState');
 
   test.prototype.title = 'Test if the network state is correct';
+  usesProgressiveMedia(test);
   test.prototype.start = function(runner, video) {
     var self = this;
     runner.checkEq(video.networkState, HTMLMediaElement.NETWORK_EMPTY,
@@ -269,6 +283,7 @@ var createTimeUpdateMaxGranularity = function(testId, playbackRate) {
       parseFloat(playbackRate).toFixed(2));
 
   test.prototype.title = 'Test the time update granularity.';
+  usesProgressiveMedia(test);
   test.prototype.start = function(runner, video) {
     var warmUpCount = 15;
     var maxGranularity = 0;
@@ -313,6 +328,7 @@ var createTimeUpdateMinGranularity = function(testId, playbackRate) {
       parseFloat(playbackRate).toFixed(2));
 
   test.prototype.title = 'Test the time update granularity.';
+  usesProgressiveMedia(test);
   test.prototype.start = function(runner, video) {
     var warmUpCount = 15;
     var minGranularity = Infinity;
@@ -354,6 +370,7 @@ var createTimeUpdateAccuracy = function(testId) {
   var test = createProgressiveTest(testId, 'timeupdate', 'accuracy');
 
   test.prototype.title = 'Test the time update granularity.';
+  usesProgressiveMedia(test);
   test.prototype.start = function(runner, video) {
     var maxTimeDiff = 0;
     var baseTimeDiff = 0;
@@ -389,6 +406,7 @@ var createTimeUpdateProgressing = function(testId) {
   var test = createProgressiveTest(testId, 'timeupdate', 'progressing');
 
   test.prototype.title = 'Test if the time updates progress.';
+  usesProgressiveMedia(test);
   test.prototype.start = function(runner, video) {
     var last = 0;
     var times = 0;
@@ -420,6 +438,7 @@ var createTimeUpdateProgressingWithInitialSeek = function(testId) {
       createProgressiveTest(testId, 'timeupdate', 'progressing after seek');
 
   test.prototype.title = 'Test if the time updates progress.';
+  usesProgressiveMedia(test);
   test.prototype.start = function(runner, video) {
     var last = 0;
     var times = 0;
@@ -457,6 +476,7 @@ var createTimeUpdateProgressingWithDurationCheck = function(testId) {
 
   test.prototype.title = 'Test if the duration is non-negative when time ' +
       'updates.';
+  usesProgressiveMedia(test);
   test.prototype.start = function(runner, video) {
     video.addEventListener('timeupdate', function() {
       runner.checkGE(video.duration, 0, 'video.duration');
@@ -478,6 +498,7 @@ var createPlaybackRateTest = function(testId, playbackRate) {
   var test = createProgressiveTest(testId, 'playbackRate', 'PlaybackRate' +
       parseFloat(playbackRate).toFixed(2));
   test.prototype.title = 'Test playbackRate plays back at the expected rate.';
+  usesProgressiveMedia(test);
   test.prototype.start = function(runner, video) {
     video.addEventListener('loadstart', function() {
       video.playbackRate = playbackRate;
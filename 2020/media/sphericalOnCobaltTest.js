@@ -103,7 +103,12 @@ var SphericalOnCobaltTest = function() {
             videoStream.get('resolution') + videoStream.get('fps'),
         'Spherical Video Performance ' + videoStream.codec,
         mandatory);
+    if (!mandatory) {
+      // The frame rate is read through the Cobalt only h5vcc API.
+      test.prototype.requires(Requirement.h5vcc());
+    }
     test.prototype.title = 'Test spherical video performance.';
+    test.prototype.usesMedia([videoStream, Media.AAC.AudioNormal]);
     test.prototype.start = function(runner, video) {
       var self = this;
       var frameRateCount = 0;